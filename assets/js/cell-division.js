@@ -0,0 +1,798 @@
+/**
+ * cell-division.js
+ * The lab's identity motion: outlined cells that fill like a pie chart over a cycle, then divide
+ * (by default 1 → 2 → 4 in landscape, 2 → 4 → 8 in portrait and 4 → 8 → 16 on phones)
+ *
+ * Usage: new CellDivision(element, options).start()
+ * Export (also in Node): new CellDivision(null, options).toSVG({ time }), toPNG(), toFrames(), toAnimatedSVG()
+ */
+
+// Default options (named to stay clear of other classic scripts on the page)
+const CELL_DIVISION_DEFAULTS = {
+    // Division counts to cycle through, per layout; an entry can also be 'columns x rows', e.g. '3x2'
+    sequences: {
+        landscape: [1, 2, 4],
+        portrait: [2, 4, 8],
+        mobile: [4, 8, 16]
+    },
+
+    // Media query for each layout, checked in order (the first that matches is used)
+    breakpoints: {
+        mobile: '(orientation: portrait) and (max-width: 639.98px)',
+        portrait: '(orientation: portrait)',
+        landscape: 'all'
+    },
+
+    // How cells are arranged per layout: 'row', 'column', or 'grid' (cells closest to square; the default)
+    arrangements: {
+        landscape: 'row',
+        portrait: 'column',
+        mobile: 'column'
+    },
+
+    duration: 30000,                   // Milliseconds for the cells to fill before they divide
+
+    // Time zone whose wall clock sets the position in the sequence, e.g. 'Asia/Seoul', so every screen
+    // shows the same state (cycles count from midnight); null starts the sequence at page load
+    clock: null,
+
+    frameRate: 20,                     // Most updates per second (0 for every animation frame)
+    resizeDelay: 150,                  // Milliseconds after the last resize event before relaying out
+    pauseWhenHidden: true,             // Stop drawing while the page is hidden or the element is offscreen
+
+    // With prefers-reduced-motion (or setReducedMotion(true)): 'stepped' fills the cells in a few
+    // steps per cycle, 'static' keeps them still
+    reducedMotion: 'stepped',
+    reducedMotionSteps: 4,
+
+    stroke: {
+        color: 'black',
+        width: 0.75                    // In screen pixels; strokes don't scale with the cells
+    }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Cell geometry in viewBox units (cells stretch to their grid area)
+const CELL_SIZE = 1000;
+const CELL_CENTER = 500;
+const CELL_RADIUS = 499.5;
+
+class CellDivision {
+    /**
+     * @param {HTMLElement|null} element - Container the cells are drawn in (its content is replaced); null to only export
+     * @param {Object} options - See CELL_DIVISION_DEFAULTS; sequences, breakpoints and arrangements replace the defaults
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            ...CELL_DIVISION_DEFAULTS,
+            ...options,
+            stroke: { ...CELL_DIVISION_DEFAULTS.stroke, ...options.stroke }
+        };
+
+        this.layout = null;            // Name of the current layout
+        this.index = 0;                // Position in the layout's sequence
+        this.cells = [];               // Cell SVGs, kept across divisions
+        this.paths = [];               // Their pie paths, updated every frame
+        this.angle = null;             // Angle the paths were last drawn at
+        this.cycleStart = 0;           // When the current cycle started
+        this.pausedElapsed = null;     // Time into the cycle when paused
+
+        this.running = false;          // Started and not paused
+        this.hidden = false;           // Page hidden
+        this.offscreen = false;        // Element scrolled out of view
+        this.frame = null;
+        this.timer = null;
+        this.resizeTimer = null;
+        this.observer = null;
+        this.motionQuery = null;       // prefers-reduced-motion media query
+        this.motionOverride = null;    // Set by setReducedMotion()
+
+        this.handleResize = () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.updateLayout(), this.options.resizeDelay);
+        };
+        this.handleVisibilityChange = () => {
+            this.hidden = document.hidden;
+            this.schedule();
+        };
+        this.handleMotionChange = () => {
+            this.cancel();
+            this.schedule();
+        };
+    }
+
+    /**
+     * Read a sequence entry
+     * @param {number|string} entry - Number of cells, or 'columns x rows'
+     * @returns {{count: number, columns: number|null, rows: number|null}}
+     */
+    static parseEntry(entry) {
+        const match = typeof entry === 'string' && entry.match(/^\s*(\d+)\s*x\s*(\d+)\s*$/i);
+        if (match) {
+            const columns = parseInt(match[1], 10);
+            const rows = parseInt(match[2], 10);
+            return { count: columns * rows, columns, rows };
+        }
+        return { count: Math.max(1, parseInt(entry, 10) || 1), columns: null, rows: null };
+    }
+
+    /**
+     * Choose columns and rows for a number of cells
+     * @param {number} count
+     * @param {string} arrangement - 'row', 'column' or 'grid'
+     * @param {number} width - Container width
+     * @param {number} height - Container height
+     * @returns {{columns: number, rows: number}}
+     */
+    static getGrid(count, arrangement, width, height) {
+        if (arrangement === 'row') return { columns: count, rows: 1 };
+        if (arrangement === 'column') return { columns: 1, rows: count };
+
+        // Cells as close to square as possible, preferring grids without empty cells
+        let best = null;
+        for (let columns = 1; columns <= count; columns++) {
+            const rows = Math.ceil(count / columns);
+            const aspect = (width / columns) / (height / rows);
+            const score = Math.abs(Math.log(aspect || 1)) + (columns * rows > count ? 1 : 0);
+            if (!best || score < best.score) {
+                best = { columns, rows, score };
+            }
+        }
+        return { columns: best.columns, rows: best.rows };
+    }
+
+    /**
+     * Path of a pie slice filled clockwise from the top
+     * @param {number} angle - Degrees filled (0–360)
+     * @returns {string} - SVG path data
+     */
+    static createPiePath(angle) {
+        const top = CELL_CENTER - CELL_RADIUS;
+        const start = `M ${CELL_CENTER} ${CELL_CENTER} L ${CELL_CENTER} ${top}`;
+
+        if (angle <= 0) {
+            return `${start} A ${CELL_RADIUS} ${CELL_RADIUS} 0 0 1 ${CELL_CENTER} ${top} Z`;
+        }
+        if (angle >= 360) {
+            return `${start} A ${CELL_RADIUS} ${CELL_RADIUS} 0 1 1 ${CELL_CENTER - 0.01} ${top} Z`;
+        }
+
+        const radians = (angle - 90) * Math.PI / 180; // -90 to start from top
+        const endX = CELL_CENTER + CELL_RADIUS * Math.cos(radians);
+        const endY = CELL_CENTER + CELL_RADIUS * Math.sin(radians);
+        const largeArcFlag = angle > 180 ? 1 : 0;
+        return `${start} A ${CELL_RADIUS} ${CELL_RADIUS} 0 ${largeArcFlag} 1 ${endX} ${endY} Z`;
+    }
+
+    /**
+     * Offset of a time zone from UTC at a moment
+     * @param {string} timeZone - IANA time zone, e.g. 'Asia/Seoul'
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {number} - Milliseconds to add to UTC for the local wall clock
+     */
+    static getTimeZoneOffset(timeZone, time) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(new Date(time));
+        const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+        const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        return wallClock - (time - time % 1000);
+    }
+
+    /**
+     * Cycle number since midnight on the options.clock wall clock, and time into that cycle
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {{cycle: number, elapsed: number}}
+     */
+    getClockPhase(time = Date.now()) {
+        const duration = this.options.duration;
+        const local = time + CellDivision.getTimeZoneOffset(this.options.clock, time);
+        const sinceMidnight = (local % DAY + DAY) % DAY;
+        return { cycle: Math.floor(sinceMidnight / duration), elapsed: sinceMidnight % duration };
+    }
+
+    /**
+     * Markup for one cell (sized by arrange())
+     */
+    createCell() {
+        const { color, width: strokeWidth } = this.options.stroke;
+        return `<svg class="cell-svg" style="float: left;"
+                 viewBox="0 0 ${CELL_SIZE} ${CELL_SIZE}" preserveAspectRatio="none" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <circle cx="${CELL_CENTER}" cy="${CELL_CENTER}" r="${CELL_RADIUS}" stroke="${color}" stroke-width="${strokeWidth}" fill="transparent" vector-effect="non-scaling-stroke"/>
+                <path class="pie-path" d="${CellDivision.createPiePath(0)}"
+                      fill="transparent"
+                      stroke="${color}"
+                      stroke-width="${strokeWidth}"
+                      vector-effect="non-scaling-stroke" />
+            </svg>`;
+    }
+
+    /**
+     * Name of the first layout whose breakpoint matches
+     */
+    getLayout() {
+        const layouts = Object.keys(this.options.sequences);
+        const match = Object.entries(this.options.breakpoints).find(([name, query]) =>
+            layouts.includes(name) && (typeof window === 'undefined' || !window.matchMedia || window.matchMedia(query).matches)
+        );
+        return match ? match[0] : layouts[0];
+    }
+
+    /**
+     * Current sequence entry
+     */
+    getEntry() {
+        return CellDivision.parseEntry(this.options.sequences[this.layout][this.index]);
+    }
+
+    /**
+     * Set the cells' sizes for the current entry and element size
+     */
+    arrange() {
+        const entry = this.getEntry();
+        const arrangement = this.options.arrangements[this.layout] || 'grid';
+        const { columns, rows } = entry.columns
+            ? entry
+            : CellDivision.getGrid(entry.count, arrangement, this.element.clientWidth || 1, this.element.clientHeight || 1);
+
+        const width = `${100 / columns}%`;
+        const height = `${100 / rows}%`;
+        this.cells.forEach(cell => {
+            if (cell.style.width !== width) cell.style.width = width;
+            if (cell.style.height !== height) cell.style.height = height;
+        });
+    }
+
+    /**
+     * Draw every pie path at an angle, skipping the DOM when nothing changed
+     * @param {number} angle - Degrees filled
+     */
+    setAngle(angle) {
+        if (angle === this.angle) return;
+
+        const path = CellDivision.createPiePath(angle);
+        this.paths.forEach(piePath => piePath.setAttribute('d', path));
+        this.angle = angle;
+    }
+
+    /**
+     * Show the cells for the current position in the sequence and restart the cycle,
+     * adding or removing cells rather than redrawing them all
+     */
+    render() {
+        const count = this.getEntry().count;
+
+        while (this.cells.length < count) {
+            this.element.insertAdjacentHTML('beforeend', this.createCell());
+            const cell = this.element.lastElementChild;
+            this.cells.push(cell);
+            this.paths.push(cell.querySelector('.pie-path'));
+        }
+        while (this.cells.length > count) {
+            this.cells.pop().remove();
+            this.paths.pop();
+        }
+
+        this.arrange();
+        this.angle = null;
+        this.setAngle(0);
+        this.cycleStart = Date.now();
+    }
+
+    /**
+     * Pick the layout for the current viewport, keeping the number of cells if the new layout has it;
+     * within the same layout only the cell sizes are updated
+     */
+    updateLayout() {
+        const layout = this.getLayout();
+
+        if (layout === this.layout) {
+            this.arrange();
+            return;
+        }
+
+        if (this.options.clock) {
+            this.layout = layout;
+            this.syncToClock(true);
+            return;
+        }
+
+        const count = this.layout ? this.getEntry().count : null;
+        const index = this.options.sequences[layout]
+            .findIndex(entry => CellDivision.parseEntry(entry).count === count);
+        this.layout = layout;
+        this.index = index === -1 ? 0 : index;
+        this.render();
+    }
+
+    /**
+     * Show the entry and time into its cycle the wall clock calls for
+     * @param {boolean} force - Render even if the index is unchanged (e.g. after the layout changed)
+     */
+    syncToClock(force = false) {
+        const { cycle, elapsed } = this.getClockPhase();
+        const index = cycle % this.options.sequences[this.layout].length;
+
+        if (force || index !== this.index || !this.cells.length) {
+            this.index = index;
+            this.render();
+        }
+        this.cycleStart = Date.now() - elapsed;
+    }
+
+    /**
+     * Draw the current frame, dividing once the cells are full
+     */
+    draw() {
+        const elapsed = Date.now() - this.cycleStart;
+        const duration = this.options.duration;
+
+        if (elapsed >= duration) {
+            if (this.options.clock) {
+                this.syncToClock();
+            } else {
+                this.index = (this.index + 1) % this.options.sequences[this.layout].length;
+                this.render();
+            }
+            return;
+        }
+
+        if (this.isReducedMotion()) {
+            const steps = this.options.reducedMotionSteps;
+            this.setAngle(Math.floor(elapsed / duration * steps) / steps * 360);
+        } else {
+            this.setAngle(elapsed / duration * 360);
+        }
+    }
+
+    /**
+     * Milliseconds to wait after a frame before asking for the next
+     */
+    getFrameDelay() {
+        if (this.isReducedMotion()) {
+            // Until the next step
+            const step = this.options.duration / this.options.reducedMotionSteps;
+            return step - (Date.now() - this.cycleStart) % step;
+        }
+
+        // The rest of the frame interval
+        return this.options.frameRate > 0 ? 1000 / this.options.frameRate - 1000 / 60 : 0;
+    }
+
+    /**
+     * Whether motion should be reduced: the setReducedMotion() override, else the system setting
+     */
+    isReducedMotion() {
+        if (this.motionOverride !== null) return this.motionOverride;
+        return Boolean(this.motionQuery && this.motionQuery.matches);
+    }
+
+    /**
+     * Override the prefers-reduced-motion setting
+     * @param {boolean|null} reduced - true or false, or null to follow the system setting again
+     * @returns {CellDivision}
+     */
+    setReducedMotion(reduced) {
+        this.motionOverride = reduced === null || reduced === undefined ? null : Boolean(reduced);
+        this.handleMotionChange();
+        return this;
+    }
+
+    /**
+     * Cancel the pending frame
+     */
+    cancel() {
+        cancelAnimationFrame(this.frame);
+        clearTimeout(this.timer);
+        this.frame = this.timer = null;
+    }
+
+    /**
+     * Request the next frame if the animation should be running, or cancel it if not
+     */
+    schedule() {
+        const suspended = (this.options.pauseWhenHidden && (this.hidden || this.offscreen))
+            || (this.options.reducedMotion === 'static' && this.isReducedMotion());
+
+        if (!this.running || suspended) {
+            this.cancel();
+            return;
+        }
+
+        if (this.frame !== null || this.timer !== null) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+
+            const wait = this.getFrameDelay();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.schedule();
+                }, wait);
+            } else {
+                this.schedule();
+            }
+        });
+    }
+
+    /**
+     * Start, or resume after pause() (with options.clock, where the clock is now)
+     * @returns {CellDivision}
+     */
+    start() {
+        if (this.running) return this;
+
+        if (!this.element) {
+            throw new Error('CellDivision: no element to draw in');
+        }
+
+        if (this.layout === null) {
+            this.element.innerHTML = '';
+            this.listen();
+            this.updateLayout();
+        } else if (this.options.clock) {
+            this.syncToClock();
+        } else if (this.pausedElapsed !== null) {
+            this.cycleStart = Date.now() - this.pausedElapsed;
+        }
+        this.pausedElapsed = null;
+
+        this.running = true;
+        this.schedule();
+        return this;
+    }
+
+    /**
+     * Stop the animation where it is
+     * @returns {CellDivision}
+     */
+    pause() {
+        if (!this.running) return this;
+
+        this.running = false;
+        this.schedule();
+        this.pausedElapsed = Date.now() - this.cycleStart;
+        return this;
+    }
+
+    /**
+     * Watch for resizes, the page or element going out of view, and the reduced motion setting
+     */
+    listen() {
+        window.addEventListener('resize', this.handleResize);
+
+        this.hidden = document.hidden;
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(entries => {
+                this.offscreen = !entries[entries.length - 1].isIntersecting;
+                this.schedule();
+            });
+            this.observer.observe(this.element);
+        }
+
+        if (window.matchMedia) {
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            if (this.motionQuery.addEventListener) {
+                this.motionQuery.addEventListener('change', this.handleMotionChange);
+            }
+        }
+    }
+
+    /**
+     * Stop the animation and remove the cells
+     */
+    destroy() {
+        this.pause();
+
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.motionQuery && this.motionQuery.removeEventListener) {
+            this.motionQuery.removeEventListener('change', this.handleMotionChange);
+        }
+        clearTimeout(this.resizeTimer);
+
+        this.element.innerHTML = '';
+        this.cells = [];
+        this.paths = [];
+        this.layout = null;
+        this.pausedElapsed = null;
+    }
+
+    /*
+     * Export: render any moment to a standalone SVG, a PNG (through a canvas), a sequence of frames,
+     * or one animated SVG. None of these need the element, so they also run headlessly in Node:
+     *
+     *     const CellDivision = require('./assets/js/cell-division.js');
+     *     const svg = new CellDivision(null, { clock: 'Asia/Seoul' }).toSVG({ time: Date.now(), width: 1920, height: 1080 });
+     *
+     * Times are milliseconds since the epoch with options.clock, otherwise milliseconds since the sequence started.
+     */
+
+    /**
+     * Layout to export: the one given, the one showing, or (without a browser) the first in sequences
+     */
+    resolveLayout(layout) {
+        if (layout) return layout;
+        if (this.layout) return this.layout;
+        return typeof window === 'undefined' ? Object.keys(this.options.sequences)[0] : this.getLayout();
+    }
+
+    /**
+     * Sequence entry and fill angle at a moment
+     * @param {number} time - See Export above
+     * @param {string} layout
+     * @returns {{index: number, entry: Object, angle: number}}
+     */
+    getState(time, layout) {
+        const sequence = this.options.sequences[layout];
+        const duration = this.options.duration;
+        let cycle;
+        let elapsed;
+
+        if (this.options.clock) {
+            ({ cycle, elapsed } = this.getClockPhase(time));
+        } else {
+            cycle = Math.floor(time / duration);
+            elapsed = time - cycle * duration;
+        }
+
+        const index = (cycle % sequence.length + sequence.length) % sequence.length;
+        return { index, entry: CellDivision.parseEntry(sequence[index]), angle: elapsed / duration * 360 };
+    }
+
+    /**
+     * Position and size of every cell of an entry in an area
+     * @returns {Array<{x: number, y: number, width: number, height: number}>}
+     */
+    getCellRects(entry, layout, width, height) {
+        const arrangement = this.options.arrangements[layout] || 'grid';
+        const { columns, rows } = entry.columns ? entry : CellDivision.getGrid(entry.count, arrangement, width, height);
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+
+        // Left to right, top to bottom, as the floated cells flow on the page
+        const rects = [];
+        for (let i = 0; i < entry.count; i++) {
+            rects.push({
+                x: i % columns * cellWidth,
+                y: Math.floor(i / columns) * cellHeight,
+                width: cellWidth,
+                height: cellHeight
+            });
+        }
+        return rects;
+    }
+
+    /**
+     * Markup for the cells of an entry in an area, with the pie path at an angle
+     * (or, for animated SVGs, any markup in place of the path)
+     */
+    createCellsSVG(entry, layout, width, height, pie) {
+        const { color, width: strokeWidth } = this.options.stroke;
+        const stroke = `stroke="${color}" stroke-width="${strokeWidth}" fill="none" vector-effect="non-scaling-stroke"`;
+
+        return this.getCellRects(entry, layout, width, height).map(rect =>
+            `<svg x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" ` +
+            `viewBox="0 0 ${CELL_SIZE} ${CELL_SIZE}" preserveAspectRatio="none">` +
+            `<circle cx="${CELL_CENTER}" cy="${CELL_CENTER}" r="${CELL_RADIUS}" ${stroke}/>` +
+            pie(stroke) +
+            '</svg>'
+        ).join('\n');
+    }
+
+    /**
+     * Standalone SVG of a moment
+     * @param {Object} options
+     * @param {number} options.time - See Export above (default: now with options.clock, else 0)
+     * @param {string} options.layout - Layout name (default: see resolveLayout())
+     * @param {number} options.width - Pixels (default 1000)
+     * @param {number} options.height - Pixels (default 1000)
+     * @param {string} options.background - Fill color (default transparent)
+     * @param {number} options.angle - Degrees filled, instead of the angle at options.time
+     * @returns {string}
+     */
+    toSVG({ time = this.options.clock ? Date.now() : 0, layout, width = 1000, height = 1000, background = null, angle } = {}) {
+        layout = this.resolveLayout(layout);
+        const state = this.getState(time, layout);
+        const entry = state.entry;
+        angle = angle === undefined ? state.angle : angle;
+        const cells = this.createCellsSVG(entry, layout, width, height, stroke =>
+            `<path d="${CellDivision.createPiePath(angle)}" ${stroke}/>`
+        );
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            (background ? `<rect width="100%" height="100%" fill="${background}"/>\n` : '') +
+            `${cells}\n</svg>\n`;
+    }
+
+    /**
+     * Animated SVG of one full sequence, repeating (SMIL, so it plays as a standalone file and in <img>)
+     * @param {Object} options - layout, width, height and background as in toSVG()
+     * @returns {string}
+     */
+    toAnimatedSVG({ layout, width = 1000, height = 1000, background = null } = {}) {
+        layout = this.resolveLayout(layout);
+        const sequence = this.options.sequences[layout];
+        const duration = this.options.duration / 1000;
+        const period = duration * sequence.length;
+
+        // The filled arc lies on the circle, so the pie is the radius to the top plus a radius sweeping round
+        const pie = stroke =>
+            `<line x1="${CELL_CENTER}" y1="${CELL_CENTER}" x2="${CELL_CENTER}" y2="${CELL_CENTER - CELL_RADIUS}" ${stroke}/>` +
+            `<line x1="${CELL_CENTER}" y1="${CELL_CENTER}" x2="${CELL_CENTER}" y2="${CELL_CENTER - CELL_RADIUS}" ${stroke}>` +
+            `<animateTransform attributeName="transform" type="rotate" from="0 ${CELL_CENTER} ${CELL_CENTER}" ` +
+            `to="360 ${CELL_CENTER} ${CELL_CENTER}" dur="${duration}s" repeatCount="indefinite"/></line>`;
+
+        // Each entry shows for its share of the period
+        const groups = sequence.map((item, index) => {
+            const cells = this.createCellsSVG(CellDivision.parseEntry(item), layout, width, height, pie);
+            if (sequence.length === 1) {
+                return `<g>\n${cells}\n</g>`;
+            }
+
+            const values = [];
+            const keyTimes = [];
+            if (index > 0) {
+                values.push('hidden');
+                keyTimes.push(0);
+            }
+            values.push('visible');
+            keyTimes.push(index / sequence.length);
+            if (index < sequence.length - 1) {
+                values.push('hidden');
+                keyTimes.push((index + 1) / sequence.length);
+            }
+
+            return `<g visibility="${index === 0 ? 'visible' : 'hidden'}">` +
+                `<animate attributeName="visibility" values="${values.join(';')}" ` +
+                `keyTimes="${keyTimes.map(keyTime => Number(keyTime.toFixed(4))).join(';')}" ` +
+                `calcMode="discrete" dur="${period}s" repeatCount="indefinite"/>\n${cells}\n</g>`;
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            (background ? `<rect width="100%" height="100%" fill="${background}"/>\n` : '') +
+            `${groups.join('\n')}\n</svg>\n`;
+    }
+
+    /**
+     * Draw a moment on a canvas 2D context
+     * @param {CanvasRenderingContext2D} context
+     * @param {Object} options - As in toSVG(); width and height default to the canvas size
+     */
+    drawFrame(context, { time = this.options.clock ? Date.now() : 0, layout, width = context.canvas.width, height = context.canvas.height, background = null, angle } = {}) {
+        layout = this.resolveLayout(layout);
+        const state = this.getState(time, layout);
+        const entry = state.entry;
+        angle = angle === undefined ? state.angle : angle;
+        const start = -Math.PI / 2; // From the top
+
+        context.clearRect(0, 0, width, height);
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, width, height);
+        }
+
+        context.strokeStyle = this.options.stroke.color;
+        context.lineWidth = this.options.stroke.width;
+
+        this.getCellRects(entry, layout, width, height).forEach(rect => {
+            // Cells stretch with their area, as with preserveAspectRatio="none"
+            const scaleX = rect.width / CELL_SIZE;
+            const scaleY = rect.height / CELL_SIZE;
+            const centerX = rect.x + CELL_CENTER * scaleX;
+            const centerY = rect.y + CELL_CENTER * scaleY;
+            const radiusX = CELL_RADIUS * scaleX;
+            const radiusY = CELL_RADIUS * scaleY;
+
+            context.beginPath();
+            context.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, Math.PI * 2);
+            context.stroke();
+
+            context.beginPath();
+            context.moveTo(centerX, centerY);
+            context.lineTo(centerX, centerY - radiusY);
+            context.ellipse(centerX, centerY, radiusX, radiusY, 0, start, start + Math.min(angle, 360) * Math.PI / 180);
+            context.closePath();
+            context.stroke();
+        });
+    }
+
+    /**
+     * PNG of a moment, drawn through a canvas
+     * @param {Object} options - As in toSVG(), plus canvas: a canvas to draw on (in Node, default from the canvas package)
+     * @returns {Promise<Blob|Buffer>} - A Blob in browsers, a Buffer from the canvas package in Node
+     */
+    async toPNG({ canvas, ...options } = {}) {
+        const width = options.width || 1000;
+        const height = options.height || 1000;
+
+        if (!canvas) {
+            if (typeof document !== 'undefined') {
+                canvas = document.createElement('canvas');
+            } else {
+                let createCanvas;
+                try {
+                    ({ createCanvas } = require('canvas'));
+                } catch (error) {
+                    throw new Error('CellDivision: PNG export in Node needs the canvas package (npm install canvas)');
+                }
+                canvas = createCanvas(width, height);
+            }
+        }
+        canvas.width = width;
+        canvas.height = height;
+
+        this.drawFrame(canvas.getContext('2d'), { ...options, width, height });
+
+        if (canvas.toBuffer) {
+            return canvas.toBuffer('image/png');
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    /**
+     * Frames of one full sequence, from its first entry empty to its last entry full
+     * (the last frame is added after the regular ones, with the cells full)
+     * @param {Object} options - As in toSVG(), plus fps (frames per second of animation, default 1),
+     *   format ('svg' or 'png') and canvas (for PNGs, reused for every frame)
+     * @returns {Promise<Array<{time: number, frame: string|Blob|Buffer}>>}
+     */
+    async toFrames({ fps = 1, format = 'svg', ...options } = {}) {
+        const layout = this.resolveLayout(options.layout);
+        const sequenceLength = this.options.sequences[layout].length;
+        const duration = this.options.duration;
+
+        // With a clock, the sequence showing at options.time (default now)
+        let start = 0;
+        if (this.options.clock) {
+            const time = options.time === undefined ? Date.now() : options.time;
+            const { cycle, elapsed } = this.getClockPhase(time);
+            start = time - elapsed - cycle % sequenceLength * duration;
+        }
+
+        const count = Math.max(1, Math.round(duration * sequenceLength / 1000 * fps));
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            const time = start + i * 1000 / fps;
+            const frameOptions = { ...options, layout, time };
+            frames.push({
+                time,
+                frame: format === 'png' ? await this.toPNG(frameOptions) : this.toSVG(frameOptions)
+            });
+        }
+
+        // The last entry full, just before the sequence starts again
+        const end = start + duration * sequenceLength - 1;
+        const endOptions = { ...options, layout, time: end, angle: 360 };
+        frames.push({
+            time: end,
+            frame: format === 'png' ? await this.toPNG(endOptions) : this.toSVG(endOptions)
+        });
+        return frames;
+    }
+}
+
+// CommonJS export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CellDivision;
+} else if (typeof window !== 'undefined') {
+    window.CellDivision = CellDivision;
+}
@@ -1,16 +1,68 @@
-// Initialize the multilingual library with configuration
-Multilingual.init({
-    autoWrap: true,
-    autoWrapSelector: 'body',
-    // debug: true,
-    glyphOverrides: {
-        // '()[]{}': 'latin',    // Treat parentheses and brackets as Latin
-        // '،؛؟': 'arabic',      // Arabic punctuation stays with Arabic
-    },
-    cssClasses: {
-        // wrapper: 'multilingual-segment',
-        useShortNames: true   // Use ml-ko, ml-en class names
-    }
+// Initialize the multilingual library with configuration (see multilingual.config.js)
+Multilingual.init(MULTILINGUAL_CONFIG);
+
+// Motion preference: the footer toggle (kept in localStorage, and in data-motion on <html>)
+// overrides prefers-reduced-motion. Animations listen for 'motion:change' on document.
+var MOTION_STORAGE_KEY = 'motion';
+var reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+function getStoredMotion() {
+  try {
+    return localStorage.getItem(MOTION_STORAGE_KEY); // 'reduce', 'full' or null
+  } catch (e) {
+    return null; // Storage blocked
+  }
+}
+
+function prefersReducedMotion() {
+  // data-motion first: it holds the choice even when storage is blocked
+  var chosen = document.documentElement.getAttribute('data-motion') || getStoredMotion();
+  if (chosen === 'reduce') return true;
+  if (chosen === 'full') return false;
+  return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+function setMotion(value) {
+  try {
+    localStorage.setItem(MOTION_STORAGE_KEY, value);
+  } catch (e) {
+    // Applies to this page only
+  }
+  document.documentElement.setAttribute('data-motion', value);
+  document.dispatchEvent(new CustomEvent('motion:change'));
+}
+
+// Set before first paint so CSS animations (see styles.css) follow the stored choice
+if (getStoredMotion()) {
+  document.documentElement.setAttribute('data-motion', getStoredMotion());
+}
+
+// Follow changes to the system setting
+function handleSystemMotionChange() {
+  document.dispatchEvent(new CustomEvent('motion:change'));
+}
+if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+  reducedMotionQuery.addEventListener('change', handleSystemMotionChange);
+} else if (reducedMotionQuery && reducedMotionQuery.addListener) {
+  reducedMotionQuery.addListener(handleSystemMotionChange); // Safari before 14
+}
+
+// Motion toggle in the footer
+document.addEventListener('DOMContentLoaded', function() {
+  var toggle = document.getElementById('motion-toggle');
+  if (!toggle) return;
+
+  function updateToggle() {
+    var reduced = prefersReducedMotion();
+    toggle.textContent = reduced ? 'Motion off' : 'Motion on';
+    toggle.title = reduced ? 'Turn animations on' : 'Turn animations off';
+  }
+
+  toggle.addEventListener('click', function() {
+    setMotion(prefersReducedMotion() ? 'full' : 'reduce');
+  });
+  document.addEventListener('motion:change', updateToggle);
+  updateToggle();
 });
 
 // Timestamp functionality
@@ -36,198 +88,26 @@ document.addEventListener('DOMContentLoaded', function() {
   setInterval(updateTimestamp, 1000);
 });
 
-// Cell division pie chart animation
+// Cell division pie chart animation (see cell-division.js)
 document.addEventListener('DOMContentLoaded', function() {
   var overlay = document.querySelector('.overlay');
-  var duration = 30000; // seconds per cycle
-  var startTime = Date.now();
-  var currentState = 1; // 1, 2, 4 for landscape; 2, 4, 8 for portrait
-  var cycleStartTime = Date.now();
-  
-  var currentTime = Date.now();
-  
-  function createSVG(index, total) {
-    var centerX = 500;
-    var centerY = 500;
-    var radius = 499.5;
-    var strokeWidth = 0.75;
-    
-    // Check if viewport is portrait (taller than wide)
-    var isPortrait = window.innerWidth < window.innerHeight;
-    
-    var svgWidth, svgHeight, floatStyle;
-    
-    if (total === 1) {
-      svgWidth = '100%';
-      svgHeight = '100%';
-      floatStyle = 'none';
-    } else if (total === 2) {
-      if (isPortrait) {
-        // Stack vertically in portrait
-        svgWidth = '100%';
-        svgHeight = '50%';
-        floatStyle = 'none';
-      } else {
-        // Side by side in landscape
-        svgWidth = '50%';
-        svgHeight = '100%';
-        floatStyle = 'left';
-      }
-    } else if (total === 4) {
-      if (isPortrait) {
-        // Stack all 4 vertically in portrait
-        svgWidth = '100%';
-        svgHeight = '25%';
-        floatStyle = 'none';
-      } else {
-        // All in a row in landscape
-        svgWidth = '25%';
-        svgHeight = '100%';
-        floatStyle = 'left';
-      }
-    } else if (total === 8) {
-      // Only in portrait mode
-      svgWidth = '100%';
-      svgHeight = '12.5%';
-      floatStyle = 'none';
-    } else if (total === 16) {
-      // Only in mobile mode (width < 640px)
-      svgWidth = '100%';
-      svgHeight = '6.25%';
-      floatStyle = 'none';
-    }
-    
-    return `
-      <svg class="cell-svg" style="width: ${svgWidth}; height: ${svgHeight}; float: ${floatStyle};" 
-           viewBox="0 0 1000 1000" preserveAspectRatio="none" fill="none" xmlns="http://www.w3.org/2000/svg">
-        <circle cx="${centerX}" cy="${centerY}" r="${radius}" stroke="black" stroke-width="${strokeWidth}" fill="transparent" vector-effect="non-scaling-stroke"/>
-        <path class="pie-path" d="M ${centerX} ${centerY} L ${centerX} ${centerY - radius} A ${radius} ${radius} 0 0 1 ${centerX} ${centerY - radius} Z" 
-              fill="transparent" 
-              stroke="black" 
-              stroke-width="${strokeWidth}" 
-              vector-effect="non-scaling-stroke" />
-      </svg>
-    `;
-  }
-  
-  function createPiePath(angle) {
-    var centerX = 500;
-    var centerY = 500;
-    var radius = 499.5;
-    var radians = (angle - 90) * Math.PI / 180; // -90 to start from top
-    
-    var endX = centerX + radius * Math.cos(radians);
-    var endY = centerY + radius * Math.sin(radians);
-    var largeArcFlag = angle > 180 ? 1 : 0;
-    
-    if (angle === 0) {
-      return `M ${centerX} ${centerY} L ${centerX} ${centerY - radius} A ${radius} ${radius} 0 0 1 ${centerX} ${centerY - radius} Z`;
-    } else if (angle >= 360) {
-      return `M ${centerX} ${centerY} L ${centerX} ${centerY - radius} A ${radius} ${radius} 0 1 1 ${centerX - 0.01} ${centerY - radius} Z`;
-    } else {
-      return `M ${centerX} ${centerY} L ${centerX} ${centerY - radius} A ${radius} ${radius} 0 ${largeArcFlag} 1 ${endX} ${endY} Z`;
-    }
-  }
-  
-  function updateSVGs(count) {
-    var svgHTML = '';
-    for (var i = 0; i < count; i++) {
-      svgHTML += createSVG(i, count);
-    }
-    overlay.innerHTML = svgHTML;
-    currentState = count;
-    
-    // Reset timing
-    cycleStartTime = Date.now();
-  }
-  
-  function isMobile() {
-    return window.innerWidth < 640;
-  }
-  
-  // Handle window resize to update layout and reset to appropriate starting state
-  window.addEventListener('resize', function() {
-    var isPortrait = window.innerWidth < window.innerHeight;
-    var isMobileView = isMobile();
-    
-    // Reset to starting state for the orientation
-    if (isPortrait && !isMobileView && (currentState === 1 || currentState === 16)) {
-      updateSVGs(2); // Normal portrait starts with 2
-    } else if (isPortrait && isMobileView && (currentState === 1 || currentState === 2 || currentState === 8)) {
-      updateSVGs(4); // Mobile starts with 4
-    } else if (!isPortrait && (currentState === 8 || currentState === 2 || currentState === 16)) {
-      updateSVGs(1); // Landscape starts with 1
-    } else {
-      updateSVGs(currentState); // Just update layout
-    }
-  });
-  
-  function animateCells() {
-    var currentTime = Date.now();
-    var elapsed = currentTime - cycleStartTime;
-    var progress = (elapsed % duration) / duration;
-    var currentAngle = progress * 360;
-    var isPortrait = window.innerWidth < window.innerHeight;
-    
-    // Update all pie paths
-    var piePaths = document.querySelectorAll('.pie-path');
-    piePaths.forEach(function(path) {
-      var pathData = createPiePath(currentAngle);
-      path.setAttribute('d', pathData);
+  if (overlay) {
+    var cellDivision = new CellDivision(overlay, {
+      sequences: {
+        landscape: [1, 2, 4],
+        portrait: [2, 4, 8],
+        mobile: [4, 8, 16] // Portrait narrower than 640px
+      },
+      duration: 30000,
+      clock: 'Asia/Seoul', // Same state on every screen, like the KST timestamp in the footer (one 90 s sequence at a time)
+      reducedMotion: 'stepped' // Fill in a few slow steps instead of sweeping
+    });
+    cellDivision.setReducedMotion(prefersReducedMotion()).start();
+
+    document.addEventListener('motion:change', function() {
+      cellDivision.setReducedMotion(prefersReducedMotion());
     });
-    
-    // Check if cycle is complete and we need to divide
-    if (elapsed >= duration) {
-      if (isPortrait) {
-        var isMobileView = isMobile();
-        
-        if (isMobileView) {
-          // Mobile sequence (width < 640px): 4 -> 8 -> 16 -> 4
-          if (currentState === 4) {
-            updateSVGs(8);
-          } else if (currentState === 8) {
-            updateSVGs(16);
-          } else if (currentState === 16) {
-            updateSVGs(4); // Reset to 4
-          }
-        } else {
-          // Normal Portrait sequence: 2 -> 4 -> 8 -> 2
-          if (currentState === 2) {
-            updateSVGs(4);
-          } else if (currentState === 4) {
-            updateSVGs(8);
-          } else if (currentState === 8) {
-            updateSVGs(2); // Reset to 2
-          }
-        }
-      } else {
-        // Landscape sequence: 1 -> 2 -> 4 -> 1
-        if (currentState === 1) {
-          updateSVGs(2);
-        } else if (currentState === 2) {
-          updateSVGs(4);
-        } else if (currentState === 4) {
-          updateSVGs(1); // Reset to 1
-        }
-      }
-    }
-    
-    requestAnimationFrame(animateCells);
-  }
-  
-  // Initialize with appropriate starting state based on orientation
-  var isPortrait = window.innerWidth < window.innerHeight;
-  var isMobileView = isMobile();
-  
-  if (isPortrait && isMobileView) {
-    updateSVGs(4); // Mobile starts with 4
-  } else if (isPortrait) {
-    updateSVGs(2); // Normal portrait starts with 2
-  } else {
-    updateSVGs(1); // Landscape starts with 1
   }
-  
-  animateCells();
 });
 
 // Image cycling functionality
@@ -275,10 +155,24 @@ document.addEventListener('DOMContentLoaded', function() {
     interval = setInterval(nextSlide, nextInterval);
   }
   
-  showImages();
+  // With reduced motion, hold still on the paused view instead of flashing through the images
+  function startCycling() {
+    clearInterval(interval);
+    
+    if (prefersReducedMotion()) {
+      currentIndex = Math.max(0, Math.min(pauseIndex, maxIndex));
+      showImages();
+      return;
+    }
+    
+    showImages();
+    
+    // Start with normal interval
+    interval = setInterval(nextSlide, normalInterval);
+  }
   
-  // Start with normal interval
-  interval = setInterval(nextSlide, normalInterval);
+  startCycling();
+  document.addEventListener('motion:change', startCycling);
 });
 
 // MailerLite form fade-in when ready
@@ -0,0 +1,25 @@
+// Multilingual configuration
+// Shared by main.js (Multilingual.init in the browser) and scripts/prerender.js (build time)
+const MULTILINGUAL_CONFIG = {
+    autoWrap: true,
+    autoWrapSelector: 'body',
+    observe: true,        // Keep wrapping content added later (MailerLite form, timestamp)
+    lineBreaking: {
+        enabled: true         // keep-all for Korean; numbers stay with their word (대학로 291)
+    },
+    // debug: true,
+    // fontMatching: { enabled: true },   // Size Korean to the Latin x-height instead of the fixed 92%
+    // chunking: { enabled: true },       // Wrap long pages in idle-time slices, visible text first
+    glyphOverrides: {
+        // '()[]{}': 'latin',    // Treat parentheses and brackets as Latin
+        // '،؛؟': 'arabic',      // Arabic punctuation stays with Arabic
+    },
+    cssClasses: {
+        // wrapper: 'multilingual-segment',
+        useShortNames: true   // Use ml-ko, ml-en class names
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MULTILINGUAL_CONFIG;
+}
@@ -0,0 +1,230 @@
+/**
+ * multilingual.d.ts
+ * Type declarations for multilingual.js (scripts/build.js ships them as multilingual.d.mts, and as multilingual.d.ts in export = form)
+ */
+
+/** Script name used in data-script, e.g. 'latin' or 'korean', or a registered custom script */
+export type ScriptName = string;
+
+/** Elements to act on: a CSS selector, or nodes (elements, documents, fragments, shadow roots) alone or in a list */
+export type Selector = string | Node | NodeList | HTMLCollection | ArrayLike<Node>;
+
+export interface ScriptDefinition {
+    /** Unicode Script property values, matched with \p{Script=…} and \p{Script_Extensions=…} */
+    unicode?: string[];
+    /** Explicit code point ranges, [start, end] inclusive */
+    ranges?: Array<[number, number]>;
+    /** Language code for the lang attribute */
+    lang?: string;
+    /** Class name used instead of ml-<lang> */
+    shortClass?: string;
+    /** 'rtl' for right-to-left scripts */
+    dir?: 'ltr' | 'rtl';
+}
+
+export interface LanguageProfile {
+    script: ScriptName;
+    /** Most frequent trigrams first, separated by | */
+    trigrams: string;
+}
+
+export interface Segment {
+    text: string;
+    /** A registered script, 'numeric' (neutralPolicy: 'own'), 'common' or 'unknown' */
+    script: ScriptName;
+    lang?: string;
+    /** Set when language identification chose lang */
+    confidence?: number;
+    /** Set when the segment needs its own direction */
+    dir?: 'ltr' | 'rtl';
+}
+
+export interface SegmentContext {
+    /** Nearest lang attribute */
+    lang?: string | null;
+    /** Script for characters without one (defaults to the script of lang) */
+    script?: ScriptName | null;
+    /** Paragraph direction */
+    dir?: 'ltr' | 'rtl' | 'auto' | null;
+    /** Text node being segmented, passed to plugin hooks */
+    node?: Node | null;
+    /** Receives unmatched paired punctuation */
+    report?: { unmatched?: Array<{ char: string; offset: number }> };
+}
+
+export interface MultilingualPlugin {
+    /** Script registry additions, as in config.scripts */
+    scripts?: Record<ScriptName, ScriptDefinition | null>;
+    /** Return replacement text, or false to leave the text unwrapped */
+    beforeSegment?(this: Multilingual, text: string, node: Node | null): string | false | void;
+    /** Return replacement segments, or nothing to keep them */
+    afterSegment?(this: Multilingual, segments: Segment[], node: Node | null): Segment[] | void;
+    /** Return a node to insert instead of the default span (keep data-script on it) */
+    renderSegment?(this: Multilingual, segment: Segment, attributes: Array<[string, string]>, doc: Document): Node | null | void;
+}
+
+export interface MultilingualConfig {
+    /** Automatically wrap content when initialized */
+    autoWrap?: boolean;
+    /** Which element to auto-wrap ('body', '#content', '.article', etc.) */
+    autoWrapSelector?: string;
+    /** Delay in ms before auto-wrapping */
+    autoWrapDelay?: number;
+    /** Keep watching wrapped elements and wrap content added or changed later */
+    observe?: boolean;
+
+    chunking?: {
+        /** Wrap in short slices during idle time instead of all at once */
+        enabled?: boolean;
+        /** Milliseconds of work per slice */
+        budget?: number;
+        /** Wrap text on or near the screen first */
+        viewportFirst?: boolean;
+    };
+    /** Segmentations of repeated strings to remember (0 to disable) */
+    segmentCacheSize?: number;
+
+    /** Keep whitespace and punctuation with surrounding text */
+    preserveWhitespace?: boolean;
+    /** Minimum character length for a segment to be wrapped */
+    minSegmentLength?: number;
+
+    /** Characters to treat as a given script, e.g. { '()[]{}': 'latin' } */
+    glyphOverrides?: Record<string, ScriptName>;
+    /** Script registry additions or replacements (null stops detecting a script) */
+    scripts?: Record<ScriptName, ScriptDefinition | null>;
+    /** Language codes for scripts, e.g. { chinese: 'zh-Hant' } */
+    languageOverrides?: Record<ScriptName, string>;
+
+    /** How CJK ideographs are assigned to a language */
+    hanPolicy?: 'context' | 'document-lang' | 'chinese';
+    /** Where digits, currency and math symbols go between scripts */
+    neutralPolicy?: 'preceding' | 'following' | 'own';
+
+    languageIdentification?: {
+        enabled?: boolean;
+        minLength?: number;
+        minConfidence?: number;
+        profiles?: Record<string, LanguageProfile>;
+    };
+
+    typography?: {
+        /** Mark script transitions with data-ml-boundary */
+        boundaries?: boolean;
+        /** Space where scripts meet without whitespace, e.g. '0.125em' */
+        autospace?: string | false;
+        /** Extra space at transitions, keyed like data-ml-boundary ('ko-en') */
+        spacing?: Record<string, string>;
+        /** Raise (positive) or lower (negative) a script */
+        baselineShift?: Record<ScriptName, string>;
+        /** Font size of a script relative to its surroundings */
+        sizeAdjust?: Record<ScriptName, string>;
+    };
+
+    lineBreaking?: {
+        enabled?: boolean;
+        /** Scripts that break only between words (word-break: keep-all) */
+        keepAll?: ScriptName[];
+        /** Scripts that break only between phrases, marked with <wbr> */
+        phrases?: ScriptName[];
+        /** Keep numbers with their unit or the word before them */
+        numeralUnits?: boolean;
+        /** Units numbers are kept with, e.g. ['km', '%', '시간'] (replaces the default list) */
+        units?: string[];
+    };
+
+    fontMatching?: {
+        enabled?: boolean;
+        metric?: 'xHeight' | 'capHeight';
+        /** Scripts to adjust (null for all) */
+        scripts?: ScriptName[] | null;
+        minRatio?: number;
+        maxRatio?: number;
+    };
+
+    /** Also wrap text inside open shadow roots of wrapped elements */
+    shadowDOM?: boolean;
+
+    /** Elements whose text is never wrapped */
+    skipElements?: string[];
+
+    cssClasses?: {
+        /** Additional class for all wrapped spans */
+        wrapper?: string;
+        /** Use ml-ko, ml-en class names */
+        useShortNames?: boolean;
+        /** Custom class per script */
+        scriptSpecific?: Record<ScriptName, string>;
+    };
+
+    /** Plugins for this configuration only */
+    plugins?: MultilingualPlugin[];
+
+    /** Log to the console */
+    debug?: boolean;
+}
+
+export interface AnalysisReport {
+    /** Non-whitespace characters per script */
+    characters: Record<ScriptName, number>;
+    /** Segments per script */
+    segments: Record<ScriptName, number>;
+    mixedScriptWords: Array<{ word: string; scripts: ScriptName[]; element: HTMLElement }>;
+    unmatchedPunctuation: Array<{ char: string; context: string; element: HTMLElement }>;
+    /** Text with characters no registered script covers */
+    fallbackNodes: Array<{ element: HTMLElement; text: string; characters: string[] }>;
+    /** Outline color per script, with { overlay: true } */
+    colors?: Record<ScriptName, string>;
+}
+
+export interface WrappedEventDetail {
+    multilingual: Multilingual;
+    segments: Segment[];
+}
+
+declare class Multilingual {
+    constructor(config?: MultilingualConfig);
+
+    /** Configuration in effect (global configuration merged with the constructor's) */
+    config: Required<MultilingualConfig>;
+    scripts: Record<ScriptName, ScriptDefinition>;
+
+    detectScript(char: string, contextScript?: ScriptName | null): ScriptName;
+    splitCharacters(text: string): string[];
+    scriptForLang(lang: string | null): ScriptName | null;
+    getDeclaredContext(node: Node): { lang: string | null; script: ScriptName | null; dir: string | null };
+    segmentText(text: string, context?: SegmentContext): Segment[];
+    wrapSegments(segments: Segment[], doc?: Document): Node[];
+    wrapSegmentsHTML(segments: Segment[]): string;
+
+    wrap(selector: Selector): number;
+    observe(selector: Selector): number;
+    disconnect(): void;
+    unwrap(selector: Selector): number;
+    rewrap(selector: Selector): number;
+    matchFontSizes(selector: Selector): Promise<Record<string, number>>;
+    analyze(selector: Selector, options?: { overlay?: boolean }): AnalysisReport;
+    showOverlay(selector: Selector): Record<ScriptName, string>;
+    hideOverlay(): void;
+
+    static escapeHTML(text: string): string;
+    static use(plugin: MultilingualPlugin): typeof Multilingual;
+    static init(config?: MultilingualConfig): typeof Multilingual;
+    static wrap(selector: Selector, config?: MultilingualConfig): number;
+    static observe(selector: Selector, config?: MultilingualConfig): Multilingual;
+    static unwrap(selector: Selector): number;
+    static rewrap(selector: Selector, config?: MultilingualConfig): number;
+    static matchFontSizes(selector: Selector, config?: MultilingualConfig): Promise<Record<string, number>>;
+    static analyze(selector: Selector, options?: { overlay?: boolean }): AnalysisReport;
+    static hideOverlay(): void;
+    static disconnect(): void;
+}
+
+declare global {
+    interface HTMLElementEventMap {
+        'multilingual:wrapped': CustomEvent<WrappedEventDetail>;
+    }
+}
+
+export { Multilingual };
+export default Multilingual;
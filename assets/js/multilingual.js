@@ -10,6 +10,15 @@ const DEFAULT_CONFIG = {
     autoWrap: false,                   // Automatically wrap content when initialized (disabled by default)
     autoWrapSelector: 'body',          // Which element to auto-wrap ('body', '#content', '.article', etc.)
     autoWrapDelay: 100,               // Delay in ms before auto-wrapping (allows other scripts to load)
+    observe: false,                    // Keep watching wrapped elements and wrap content added or changed later
+    
+    // Performance settings for long documents
+    chunking: {
+        enabled: false,                // Wrap in short slices during idle time instead of all at once
+        budget: 8,                     // Milliseconds of work per slice
+        viewportFirst: true            // Wrap text on or near the screen first (IntersectionObserver)
+    },
+    segmentCacheSize: 500,             // Segmentations of repeated strings to remember (0 to disable)
     
     // Detection settings
     preserveWhitespace: true,          // Keep whitespace and punctuation with surrounding text
@@ -23,14 +32,96 @@ const DEFAULT_CONFIG = {
         // '。、': 'japanese',          // Japanese punctuation
     },
     
+    // Script registry additions or replacements (set a script to null to stop detecting it)
+    scripts: {
+        // Examples:
+        // mongolian: { unicode: ['Mongolian'], lang: 'mn' },    // Unicode Script property values
+        // custom: { ranges: [[0xE000, 0xF8FF]], lang: 'und' },  // Or explicit code point ranges
+    },
+    
     // Language detection overrides
     languageOverrides: {
         // You can override default language codes for specific scripts
         // latin: 'en',    // Default is 'en'
-        // chinese: 'zh-CN', // Could be 'zh-TW' for Traditional Chinese
+        // chinese: 'zh-Hans', // Could be 'zh-Hant' for Traditional Chinese
+    },
+    
+    // How CJK ideographs (Han) are assigned to a language
+    //   'context': Han runs next to kana or Hangul become Japanese or Korean (e.g. kanji, hanja),
+    //              other runs follow the nearest lang attribute, then Chinese
+    //   'document-lang': Han runs follow the nearest lang attribute, then Chinese
+    //   'chinese': Han runs are always Chinese
+    hanPolicy: 'context',
+    
+    // Where digits, currency and math symbols go when they sit between scripts
+    //   'preceding': join the script before them (대학로 291), or the one after at the start of text
+    //   'following': join the script after them (291호), or the one before at the end of text
+    //   'own': stand as their own segment (data-script="numeric", class ml-num)
+    neutralPolicy: 'preceding',
+    
+    // Language identification within a script (e.g. German or Vietnamese quoted in English text)
+    languageIdentification: {
+        enabled: false,                // Refine each segment's lang with the bundled trigram profiles
+        minLength: 12,                 // Minimum letters in a segment before identification is attempted
+        minConfidence: 0.8,            // Minimum confidence to switch language part-way through a segment
+        profiles: {
+            // Additional or replacement profiles, most frequent trigrams first:
+            // tr: { script: 'latin', trigrams: ' bi|bir|ir |...' },
+        }
+    },
+    
+    // Typographic adjustments for mixed-script setting (all off by default)
+    typography: {
+        boundaries: false,             // Mark script transitions with data-ml-boundary="ko-en" on the span after them
+        autospace: false,              // Space where scripts meet without whitespace, e.g. '0.125em'
+                                       // (left to CSS text-autospace for kana/Han next to Latin where supported,
+                                       // and always when prerendering, where support is unknown)
+        spacing: {
+            // Extra space at transitions, keyed like data-ml-boundary:
+            // 'ko-en': '0.05em',
+            // 'en-ko': '-0.02em',
+        },
+        baselineShift: {
+            // Raise (positive) or lower (negative) a script:
+            // korean: '-0.03em',
+        },
+        sizeAdjust: {
+            // Font size of a script relative to its surroundings:
+            // korean: '92%',
+        }
+    },
+    
+    // Line breaking per script, so editors don't need to place nowrap spans by hand (off by default)
+    lineBreaking: {
+        enabled: false,
+        keepAll: ['korean'],           // Break only between words (word-break: keep-all)
+        phrases: ['japanese', 'chinese'], // Break only between phrases, marked with <wbr> (needs Intl.Segmenter)
+        numeralUnits: true,            // Keep numbers with their unit (10 km, 3 시간) or the word before (대학로 291)
+        units: [                       // Units numbers are kept with (replaces the list when set)
+            '%', '‰', '°', '°C', '°F', 'km', 'm', 'cm', 'mm', 'km²', 'm²', 'kg', 'g', 'mg', 'L', 'mL', 'ml',
+            'h', 'min', 's', 'ms', 'Hz', 'kHz', 'MHz', 'GHz', 'KB', 'MB', 'GB', 'TB', 'px', 'pt', 'em',
+            'W', 'kW', 'V', 'am', 'pm', 'AM', 'PM',
+            '원', '만', '억', '년', '월', '일', '시', '분', '초', '시간', '개', '명', '층', '호', '번', '회', '세', '살', '권', '장',
+            '円', '年', '月', '日', '時', '分', '秒', '人', '個', '階', '号', '回', '歳', '元'
+        ]
+    },
+    
+    // Size each script's spans so they optically match the surrounding text, measured from the fonts
+    // that actually load (CSS Font Loading API); replaces fixed sizes such as p .ml-ko { font-size: 92% }
+    fontMatching: {
+        enabled: false,                // Match sizes after wrapping, and again whenever more fonts finish loading
+        metric: 'xHeight',             // 'xHeight' or 'capHeight', measured on the Latin glyphs of both faces
+        scripts: null,                 // Scripts to adjust, e.g. ['korean'] (null for all)
+        minRatio: 0.75,                // Limits for the computed size ratio, in case a measurement goes wrong
+        maxRatio: 1.25
     },
     
+    // Also wrap text inside the open shadow roots of wrapped elements (web components)
+    shadowDOM: false,
+    
     // Elements to skip during processing
+    // Per element, data-ml="skip" opts out (e.g. code, wordmarks) and data-ml="wrap" opts back in;
+    // data-ml-script="korean" or a lang attribute sets the script for text without one (digits, punctuation)
     skipElements: ['script', 'style', 'noscript', 'template'],
     
     // CSS class names
@@ -44,14 +135,151 @@ const DEFAULT_CONFIG = {
         // }
     },
     
+    // Plugins for this configuration only, in addition to those registered with Multilingual.use()
+    plugins: [],
+    
     // Debug mode
     debug: false                      // Set to true for console logging
 };
 
+// Scripts detected by default, keyed by the name used in data-script
+// unicode: Unicode Script property values (matched with \p{Script=…} and \p{Script_Extensions=…})
+// lang: Language code for the lang attribute (short class names are ml-<lang>)
+// dir: 'rtl' for right-to-left scripts (segments are isolated with a dir attribute)
+const DEFAULT_SCRIPTS = {
+    latin:      { unicode: ['Latin'], lang: 'en' },
+    korean:     { unicode: ['Hangul'], lang: 'ko' },
+    japanese:   { unicode: ['Hiragana', 'Katakana'], lang: 'ja' },
+    chinese:    { unicode: ['Han', 'Bopomofo'], lang: 'zh' },
+    arabic:     { unicode: ['Arabic'], lang: 'ar', dir: 'rtl' },
+    cyrillic:   { unicode: ['Cyrillic'], lang: 'ru' },
+    greek:      { unicode: ['Greek'], lang: 'el' },
+    hebrew:     { unicode: ['Hebrew'], lang: 'he', dir: 'rtl' },
+    thai:       { unicode: ['Thai'], lang: 'th' },
+    devanagari: { unicode: ['Devanagari'], lang: 'hi' },
+    bengali:    { unicode: ['Bengali'], lang: 'bn' },
+    tamil:      { unicode: ['Tamil'], lang: 'ta' },
+    georgian:   { unicode: ['Georgian'], lang: 'ka' },
+    armenian:   { unicode: ['Armenian'], lang: 'hy' },
+    ethiopic:   { unicode: ['Ethiopic'], lang: 'am' }
+};
+
+// Characters used across scripts (digits, symbols, combining marks) that take their script from context
+const COMMON_SCRIPT_PATTERN = /[\p{Script=Common}\p{Script=Inherited}]/u;
+
+// Trigram profiles for language identification within a script, most frequent first
+// Words are lowercased and padded with a space on each side before trigrams are taken
+const LANGUAGE_PROFILES = {
+    en: {
+        script: 'latin',
+        trigrams: ' th|the|he |nd | an|and| of| to|ed |ing|of |re | be|is |ng |to | we|at |en | in| wh| yo|hat|rou|you| ar| ha| is| it| pr| wi| wo| ye|ear|er |ere|her|it |ple|res|rs |tha|thi|we | a | de| fi| li| no| pe| re| sh| st|are|as |em |eop|ers|for|his|in |ld |le |opl|ot |ou |our|peo|she|ste|ter|ts |ur |ut |wor| al| bu| co| ho| lo| ne| wa|abo|an |de |ent|es |est|ew |fin|gh |gro|han|has|hed|how|ide|ign|ill|int|ish|ist|ith|lis|ll |new|not|nt |nte|ork|ort|oug|ow |pro|ry |sig|stu|ten|thr|tud|ugh|und|ve |wil|yea| ab| ch| ci| en| fr| gr| im| le| ma| mo| on| ou| pl| se| tr| us|ad |ang|ant|any|ars|ave|be |bee|bef|bou|but|cha|cid|cit|ct |dec|des|dy |ead|eas|eci|ect|ee |een|efo|end|ese|esi|et |ett|eve|ey |fro|ges|hav|hem|hey|hin|ho |hou|hro|ic |ini|ins|ity|jec|lea|ly |man|me |ms |nge|nin|nis|ns |ny |oje|ok |om '
+    },
+    de: {
+        script: 'latin',
+        trigrams: 'en |ie |er |nd | un| de| di|ch |die|ich| si|und| wi|sch| ge|hen|ren| zu|ber|es |hre|ter| da| in|as |che|das|der|ein|men| be| ha| se| we|ben|cht|de |em |ers|ges|in |nde|nen|nte|st |sta| ei| is| pr| st|abe|den|des|end|ht |ine|ir |ist|lle|sie|sse|uch|wir| al| es| ih| le| ne| ni| vo|ahr|an |chi|ere|est|geb|gen|ind|it |len|pro|res|sen|sin|ste|te |ten|ver|zu | ab| du| er| ja| ka| ma| mi| no| ve| üb|alt|ehr|eit|ert|esc|ess|eue|hab|hne|int|jah|lic|lt |man|mit|mme|ner|neu|nic|noc|och|or |rbe|rge|rsc|rt |seh|sei|sic|tte|unt|vor|wer|wie|übe| an| ar| au| bi| bu| dr| en| gi| he| im| me| sc| sp| vi| wa|adt|alb|all|amm|arb|at |att|aub|auf|bei|bes|bew|bt |buc|chl|dli|dt |dur|ebe|ehe|eic|ekt|ele|ell|eln|ens|erg|erk|ern|erä|ese|esh|eut|fel|fer|for|ft |ge |gla|hal|hat|hic|hie|hlo|hme|hr |hör|ieb|ihn|ihr|ing'
+    },
+    fr: {
+        script: 'latin',
+        trigrams: 'es | le|re | de|nt |le |les| no|de |et |us | et|ent|nou| qu| tr|ns |ous|que| en| il|er |il |tre|ue | av| co| l | la| so|ant|ont|rs |tra| pr|cou|ers|ill|la |lle|ne |ons|ren| ma| pe| un| vo|ava|ave|des|eau|est|otr|our|rav|son|ts |ux | ce| d | fa| in| pa| vi| à |aux|ce |enc|end|ens|ien|ieu|in |is |it |nté|oup|out|ouv|pre|res|ser|ter|ur |uve| a | an| au| ch| es| im| ne| po| re| se| su| ét|ail|ais|ans|as |com|dre|emb|en |era|eur|ign|int|ièr|ler|man|me |men|mes|mme|nco|ndr|niè|nne|not|nts|oir|omm|onn|pas|pro|rie|sig|st |sur|tou|tud|tér|udi|un |ure|urs|ut |ute|vai|vea|ven|ère|és |étu| al| be| bi| c | dé| ge| gr| ha| li| lo| on| pl| te| to| ve| éc|abi|age|ait|and|ani|ann|au |auc|aut|avo|bea|bie|bit|ble|che|cid|con|cor|dan|der|die|don|déc|ec |el |env|erm|esi|ess|fin|for|gen|ges|gro|hab|ie |ier|ils'
+    },
+    es: {
+        script: 'latin',
+        trigrams: 'os | de|es | la|as |de | es| el|el |est| qu|nte| y |do |la |que| en| lo|ado|en |ue | ha| pr|ent|res| co| tr|ant|ar |las|los|mos|pre|ro | no| nu|nta|nue|on |tes|tra| có| mu| se| so| un|ero|or |por|re |uch| a | in| pe| po| to|bre|con|cóm|dos|ere|gen|ia |mo |nos|per|ren|son|stu|ta |tar|ter|tud|ía |ómo| añ| ca| cr| di| im| si| su|aba|amo|año|baj|cha|dia|ect|er |ese|eva|hab|ina|io |ma |muc|na |nad|ndo|no |ori|po |pro|ra |rab|rta|se |señ|sta|str|te |tod|tro|udi|ues|uev|un |unt| an| ci| fi| gr| le| ma| me| pu| te|ad |afo|aja|al |amb|an |and|aví|ay |ber|bia|cam|cho|cid|ciu|co |cos|cre|cto|cuc|dad|dav|dec|del|den|der|dis|dor|eci|egu|ema|emp|enc|end|ene|eni|env|eo |erm|ers|esc|eña|fic|fin|for|gru|gun|ha |har|hay|ho |ica|ici|ico|idi|ido|iem|ien|ier|imo|imp|int|ise|ist|iud|les|lic|lo |mbi|min|mpo|mpr'
+    },
+    it: {
+        script: 'latin',
+        trigrams: ' de|no |to | e |il | il|la |re |ti | co| pr|di | ch| di| in|del|ell|son| la| st|are|che|he |le |lla|ono|ro | ci| mo| qu| è |ma |mo |na |ra | an| le| ne| un|amo|ann|ato|ent|gli|iam|me |olt|str| no| pe| so|att|ci |con|ers|ess|ett|io |li |ne |ni |nti|ora|ost|pre|rso|sar|so |sta|tra|tro|tto| ab| ca| ma| se| tr|ant|ati|bia|com|do |ere|est|ia |mol|nno|nte|ome|on |one|ori|per|pro|que|res|ri |rim|tat|ter|ues|una| al| da| do| fi| gl| gr| ha| i | im| nu| ri| sa| si| vo|anc|and|ara|avo|chi|cor|dia|el |ema|fic|fin|ica|ima|ina|lav|lio|lle|lta|mi |nco|nel|nos|nuo|po |pri|raf|ren|sto|stu|tar|te |tor|tud|ult|uov|vi |vo |vor| as| at| fa| lo| og| pi| po| su| vi|abb|abi|afi|ali|all|amb|arl|asc|ave|bbi|bit|bre|ca |cam|cat|ce |cit|col|cos|da |dan|dec|den|der|des|dom|ece|eci|edi|egl|egn|ei |emp|enz|er |era|eri'
+    },
+    pt: {
+        script: 'latin',
+        trigrams: 'os |as | de| co| e | o | qu|de |do |nte|ão | no|es |que|com|est|mos| da| es| mu|da |em |nos|to |tra|ue | a | do| se| tr|ado|ant|ess|res|sso| ma| pe| po| pr| um|ent|ito|ma |mui|por|pre|uit| an| as| en| im| os|ar |das|dos|io |ro |te |tes| ca| em| fi| é |am |cid|con|ia |ica|imp|mo |nta|om |omo|or |ora|ort|pes|pro|ra |rta|sa |so |stu|ta |tas|uma| ac| ap| há| na| ne| nã| ou| te| ve|aba|ais|alh|amo|ano|bal|car|eci|eir|ema|emo|ens|er |ere|for|gen|há |ida|ind|is |lem|mai|mas|mpo|mpr|ndo|nov|não|oas|oss|po |rab|ram|re |ria|ros|ser|soa|ssa|sta|ste|tem|ter|tud|uda|um |unt|ção| ai| at| ci| cu| ed| fa| fo| gr| in| la| le| li| mo| si| so| sã| vi|ade|ain|and|anh|apr|ata|atr|açã|bor|bre|dad|dec|der|des|dor|edi|emp|end|erg|esi|eto|fer|fic|gru|gun|ho |idi|ign|il |imo|ina|int|ir |iro|isa|iss|ist|ita|ivr|jet'
+    },
+    nl: {
+        script: 'latin',
+        trigrams: 'en |de |et | de| he|an | va|het|van| en|den| be| on| we|nie|te |aar|er |ere|nde|ter|we | me| ni| zi|is |men| ee| ge| in| is| je|ar |een|je |oek|om |ste|wer|zij| da| ho| ma| st| te|at |der|ers|hoe|ijn|jn |ond|ren|ver| al| di| er| om| ve| wa| ze|dat|eer|ens|erk|gen|ie |ieu|ijd|in |met|ns |nte|oe |oor|res|rs |sen|ten|ze | af| bo| ja| pr|and|ein|eke|el |ent|erg|erz|euw|gro|iet|ijk|ist|ken|kom|kun|nd |nen|nne|nse|ons|or |ord|pen|pro|rij|rzo|sch|st |tee|tij|uwe|zoe| aa| co| do| ei| gr| ha| ko| ku| la| lu| no| ov| pl| sa| ti| vo| vr| wi|aan|ad |af |age|al |ame|aro|bes|bet|ble|boe|bor|cht|ct |dde|del|dit|doo|ect|eel|eem|eld|eli|elo|em |end|eni|enk|ep |era|erd|erp|ert|esl|ess|ete|ewe|gel|gri|hen|hte|ien|ind|ing|int|it |jaa|jd |jde|jec|jk |kt |laa|len|ler|lij|lle|lui|maa|man|nge|nog|nt |ntw|oep|og '
+    },
+    vi: {
+        script: 'latin',
+        trigrams: 'ng | nh| th|nh | ch| ng| và| tr|và | qu|ch |chú|hún|úng| cá| củ|các|của|ngh|qua|ách|ên |ều |ủa | kh| là| mộ| tô| vi| đi|hữn|iều|một|nhữ|tôi|ôi |ất |ối |ột |ời |ững| cu| cô| gi| họ| hỏ| nó| nă| sẽ| ta| về| đư|ai |ay |cuố|ghi|hà |hìn|hỏi|iên|iệc|nhà|ong|ron|sẽ |ta |tha|tro|uan|việ|về |ành|ào |ình|ông|đượ|ược|ệc |ỏi |ới |ợc | ai| bạ| câ| có| cù| cứ| hì| lá| mớ| nà| nê| nề| ph| rấ| rằ| sá| tả| tố| từ| xu| đã| đó| đị|an |au |bạn|cho|câu|có |côn|cùn|cứu|gườ|hau|hay|hi |hiê|hiề|ho |hàn|hư |hế |họ |in |khi|là |làm|mới|ngư|nha|nhi|như|nên|nói|năm|nền|rướ|rất|rằn|thà|thư|thế|trư|tản|từ |ua |uối|àm |ác |án |âu |òng|ói |ùng|ăm |điề|đã |địn|ơn |ước|ười|ạn |ảng|ằng|ết |ền |ịnh|ọc |ổi |ớc |ứu | ba| bu| bả| ca| co| cụ| dự| em| gặ| gỡ| gử| ho| hơ| hồ| in| kè| kế| la| lo| lò| lạ| lậ| lắ| lị| lự| mà| mã| mố'
+    },
+    ru: {
+        script: 'cyrillic',
+        trigrams: ' на| и |то | по|ть | го| ка| ко| ра|им |как|ом | он| пр| че|або|ак |ать|аши|да |ей |ем |ет |ори|про|ым | бу| ва| во| из| мы| но| оп| с | эт|ает|али|аше|бот|буд|год|ере|ия |кто|ли |мен|мы |на |наш|не |но |ова|ово|ода|раб|ся |том|тор|ты |уде|чер|это| бы| ве| вр| вс| до| ин| ис| кн| лю| не| са| сл| чт|аем|ам |амы|ани|был|ваш|во |вре|гда|го |гор|де |дет|дов|дом|его|едо|ез |ени|ент|ест|етс|еха|еча|ико|ись|ить|их |каз|ким|кни|кон|лед|ло |люд|нам|ни |ниг|ния|нов|нты|ным|одн|он |опр|оро|ота|ото|пое|пра|пре|рез|рем|рит|сам|сег|ска|сле|ста|сто|стр|тае|тал|те |тся|тфо|хат|чае|чем|чит|что|шей|ых | а | ал| в | ви| вм| гр| ди| ду| ес| ех| же| за| зд| им| кт| ла| ло| лу| ма| ме| ми| мн| мо| ни| о | об| од| ос| от| оч| пи| пл| ре| се| ск| сп| ст| то| тр| у | уж| ут| хо| ча| чи| я |авь|ад |аже|ажн|аза|азн'
+    },
+    uk: {
+        script: 'cyrillic',
+        trigrams: ' на| бу| пр|ти | як|им |ом | за| по| і |то |ати|буд|ло |ми |про|сто|ся |том|ть |як | ба| ви| до| з | ко| ми| ні| та| ча|али|ато|бул|дом|ере|ку |ли |лис|наш|не |ова|ого|одн|орі|пра|рац|та |тор|уде|уло|хат|час|ід | ал| ва| во| ві| го| ду| кн| ла| ли| лю| не| но| ро| сл| це| че| що| ін|ам |ацю|ача|ашо|аші|ва |ван|ваш|вон|від|го |год|де |ди |дос|ез |ей |ент|же |зал|ист|ися|ита|ити|их |ки |ким|кни|кол|люд|лід|мо |на |нав|над|нам|ним|ння|но |нов|нти|ня |ні |ніж|ніх|ові|оло|ори|пит|рез|рит|ро |рок|сві|ска|слі|стр|тфо|тьс|уже|хто|це |цює|ці |чає|чер|чит|що |ься|яки|ємо|єть|іж |іко|іст|іши|їха| а | ав| в | вд| ве| вр| гр| ди| зм| зо| зу| йо| кр| кі| ло| ма| мо| мі| од| оп| пе| пи| пл| пі| ра| ре| рі| св| ск| ст| сь| те| то| тр| уж| хо| хт| ци| чи| я | є | із| іс| їм| їх|або|авж|авк|авт|авч|ага|ад '
+    }
+};
+
+// Language identification scoring: cost of switching language between two words,
+// bonus per word for the expected language, and sharpness of the confidence score
+const LANGUAGE_SWITCH_PENALTY = 16;
+const LANGUAGE_PRIOR_BONUS = 2;
+const LANGUAGE_CONFIDENCE_SHARPNESS = 3;
+
+// Splits text into user-perceived characters (grapheme clusters) where Intl.Segmenter is available
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+// Word segmenters for phrase-based line breaking, by language
+const wordSegmenters = new Map();
+
+// Numbers and ranges (10, 1,200, 3–5), a word and a number that ends the text (대학로 291),
+// and a number that ends a segment; units after numbers come from lineBreaking.units
+const NUMERAL_SOURCE = '\\p{N}[\\p{N}.,]*(?:[–-]\\p{N}[\\p{N}.,]*)?';
+const TRAILING_NUMERAL_PATTERN = /\p{L}+\s+\p{N}[\p{N}.,-]*(?=[\s\p{P}]*$)/gu;
+const SEGMENT_END_NUMERAL_PATTERN = new RegExp(`${NUMERAL_SOURCE}\\s*$`, 'u');
+
+// Scripts CSS text-autospace puts space around (ideographs and kana, not Hangul),
+// and whether this browser does so natively (null where unknown, e.g. when prerendering in Node,
+// so markup built there does not add space that browsers with text-autospace add again)
+const AUTOSPACE_IDEOGRAPHIC_SCRIPTS = ['chinese', 'japanese'];
+const AUTOSPACE_ALPHANUMERIC_SCRIPTS = ['latin', 'numeric', 'common'];
+const nativeAutospace = typeof CSS !== 'undefined' && typeof CSS.supports === 'function'
+    ? CSS.supports('text-autospace', 'normal')
+    : null;
+
+// Neutral characters governed by neutralPolicy: numbers, currency and math symbols
+const NUMERIC_PATTERN = /^[\p{N}\p{Sc}\p{Sm}]/u;
+
+// Neutral characters for bidi resolution (digits, currency and math symbols are weak and stay with their segment)
+const BIDI_NEUTRAL_PATTERN = /^[\s\p{P}\p{Sk}\p{So}]/u;
+
+// Bopomofo is only used for Chinese, so segments containing it are never reassigned by hanPolicy
+const BOPOMOFO_PATTERN = /\p{Script=Bopomofo}/u;
+
 // Global configuration (set via Multilingual.init())
 let GLOBAL_CONFIG = { ...DEFAULT_CONFIG };
 let isInitialized = false;
 
+// Instances with an active MutationObserver (see observe() / Multilingual.disconnect())
+const observingInstances = new Set();
+
+// Plugins registered with Multilingual.use(), applied to every instance
+const registeredPlugins = [];
+
+// Overlay styles added to shadow roots (see showOverlay())
+const overlayShadowStyles = new Map();
+
+// Chunked wrapping still in progress (see processChunked()), so unwrap() can cancel it
+const pendingJobs = new Set();
+
+// Run a callback when the browser is idle, or soon where requestIdleCallback is unavailable
+const scheduleIdle = typeof requestIdleCallback === 'function'
+    ? callback => requestIdleCallback(callback, { timeout: 200 })
+    : callback => setTimeout(() => callback(null), 0);
+
+// Original text nodes replaced by wrapped spans, and the nodes generated from each (see unwrap())
+const sourceTextNodes = new WeakMap();
+const generatedNodes = new WeakMap();
+
+// Elements with matched font sizes and the instance that matched them, matched again when more fonts
+// load through a single document.fonts listener (see matchFontSizes() and releaseFontMatching())
+const fontMatchedElements = new Map();
+let fontLoadingListener = null;
+
 class Multilingual {
     constructor(config = {}) {
         // Merge user config with global config
@@ -61,21 +289,29 @@ class Multilingual {
             console.log('MultilingualWrapper initialized with config:', this.config);
         }
         
-        // Paired punctuation mapping
+        // Paired punctuation mapping (opening → closing)
+        // Symmetric quotes open and close with the same character; see getPairRole()
         this.pairedPunctuation = {
             '(': ')',
             '[': ']',
             '{': '}',
             '"': '"',
             "'": "'",
-            '"': '"',
-            "'": "'",
+            '\u201C': '\u201D',   // “ ”
+            '\u2018': '\u2019',   // ‘ ’
             '«': '»',
             '‹': '›',
             '「': '」',
             '『': '』',
             '〈': '〉',
-            '《': '》'
+            '《': '》',
+            '【': '】',
+            '〔': '〕',
+            '〖': '〗',
+            '（': '）',
+            '［': '］',
+            '｛': '｝',
+            '｢': '｣'
         };
         
         // Create reverse mapping for closing punctuation
@@ -84,96 +320,93 @@ class Multilingual {
             this.closingToOpening[closing] = opening;
         }
         
-        // Unicode ranges for different writing systems
-        this.scriptRanges = {
-            latin: [
-                [0x0041, 0x005A], // A-Z
-                [0x0061, 0x007A], // a-z
-                [0x00C0, 0x00FF], // Latin-1 Supplement
-                [0x0100, 0x017F], // Latin Extended-A
-                [0x0180, 0x024F], // Latin Extended-B
-                [0x1E00, 0x1EFF], // Latin Extended Additional
-            ],
-            korean: [
-                [0xAC00, 0xD7AF], // Hangul Syllables
-                [0x1100, 0x11FF], // Hangul Jamo
-                [0x3130, 0x318F], // Hangul Compatibility Jamo
-                [0xA960, 0xA97F], // Hangul Jamo Extended-A
-                [0xD7B0, 0xD7FF], // Hangul Jamo Extended-B
-            ],
-            japanese: [
-                [0x3040, 0x309F], // Hiragana
-                [0x30A0, 0x30FF], // Katakana
-                [0x31F0, 0x31FF], // Katakana Phonetic Extensions
-            ],
-            chinese: [
-                [0x4E00, 0x9FFF], // CJK Unified Ideographs
-                [0x3400, 0x4DBF], // CJK Extension A
-                [0x20000, 0x2A6DF], // CJK Extension B
-                [0x2A700, 0x2B73F], // CJK Extension C
-                [0x2B740, 0x2B81F], // CJK Extension D
-                [0x2B820, 0x2CEAF], // CJK Extension E
-                [0x2CEB0, 0x2EBEF], // CJK Extension F
-                [0xF900, 0xFAFF], // CJK Compatibility Ideographs
-            ],
-            arabic: [
-                [0x0600, 0x06FF], // Arabic
-                [0x0750, 0x077F], // Arabic Supplement
-                [0x08A0, 0x08FF], // Arabic Extended-A
-                [0xFB50, 0xFDFF], // Arabic Presentation Forms-A
-                [0xFE70, 0xFEFF], // Arabic Presentation Forms-B
-            ],
-            cyrillic: [
-                [0x0400, 0x04FF], // Cyrillic
-                [0x0500, 0x052F], // Cyrillic Supplement
-                [0x2DE0, 0x2DFF], // Cyrillic Extended-A
-                [0xA640, 0xA69F], // Cyrillic Extended-B
-            ],
-            greek: [
-                [0x0370, 0x03FF], // Greek and Coptic
-                [0x1F00, 0x1FFF], // Greek Extended
-            ],
-            hebrew: [
-                [0x0590, 0x05FF], // Hebrew
-                [0xFB1D, 0xFB4F], // Hebrew Presentation Forms
-            ],
-            thai: [
-                [0x0E00, 0x0E7F], // Thai
-            ],
-            devanagari: [
-                [0x0900, 0x097F], // Devanagari
-            ]
-        };
+        // Plugins, in the order their hooks run
+        this.plugins = [...registeredPlugins, ...(this.config.plugins || [])];
+        
+        // Script registry, with plugin and user additions and removals
+        const pluginScripts = Object.assign({}, ...this.plugins.map(plugin => plugin.scripts));
+        this.scripts = {};
+        for (const [name, definition] of Object.entries({ ...DEFAULT_SCRIPTS, ...pluginScripts, ...this.config.scripts })) {
+            if (definition) {
+                this.scripts[name] = definition;
+            }
+        }
+
+        // Compile the Script / Script_Extensions property tests for each script
+        this.scriptMatchers = Object.entries(this.scripts).map(([name, definition]) => {
+            const values = definition.unicode || [];
+            const compile = property => {
+                if (!values.length) return null;
+                try {
+                    return new RegExp(`[${values.map(value => `\\p{${property}=${value}}`).join('')}]`, 'u');
+                } catch (error) {
+                    throw new Error(`Multilingual: invalid Unicode script in scripts.${name}: ${values.join(', ')}`);
+                }
+            };
+            return {
+                name,
+                ranges: definition.ranges || [],
+                script: compile('Script'),
+                extensions: compile('Script_Extensions')
+            };
+        });
 
         // Language codes for each script
-        this.scriptToLang = {
-            latin: 'en',
-            korean: 'ko',
-            japanese: 'ja',
-            chinese: 'zh',
-            arabic: 'ar',
-            cyrillic: 'ru',
-            greek: 'el',
-            hebrew: 'he',
-            thai: 'th',
-            devanagari: 'hi',
-            ...this.config.languageOverrides
+        this.scriptToLang = {};
+        // Short class names for CSS
+        this.scriptToShortClass = {};
+        for (const [name, definition] of Object.entries(this.scripts)) {
+            this.scriptToLang[name] = definition.lang;
+            this.scriptToShortClass[name] = definition.shortClass || (definition.lang ? `ml-${definition.lang}` : undefined);
+        }
+        Object.assign(this.scriptToLang, this.config.languageOverrides);
+        
+        // Segments of numbers and symbols (neutralPolicy: 'own') have no language of their own
+        this.scriptToShortClass.numeric = 'ml-num';
+
+        // Language identification settings (merged so partial overrides keep the defaults)
+        this.languageIdentification = {
+            ...DEFAULT_CONFIG.languageIdentification,
+            ...this.config.languageIdentification
         };
 
-        // Short class names for CSS
-        this.scriptToShortClass = {
-            latin: 'ml-en',
-            korean: 'ml-ko',
-            japanese: 'ml-ja',
-            chinese: 'ml-zh',
-            arabic: 'ml-ar',
-            cyrillic: 'ml-ru',
-            greek: 'ml-el',
-            hebrew: 'ml-he',
-            thai: 'ml-th',
-            devanagari: 'ml-hi'
+        // Font matching settings (merged so partial overrides keep the defaults)
+        this.fontMatching = {
+            ...DEFAULT_CONFIG.fontMatching,
+            ...this.config.fontMatching
+        };
+
+        // Typography settings (merged so partial overrides keep the defaults)
+        this.typography = {
+            ...DEFAULT_CONFIG.typography,
+            ...this.config.typography
+        };
+
+        // Line breaking settings (merged so partial overrides keep the defaults)
+        this.lineBreaking = {
+            ...DEFAULT_CONFIG.lineBreaking,
+            ...this.config.lineBreaking
+        };
+        
+        // A number, a space and a unit (10 km, 3 시간), longest units first; without the space there is no break anyway
+        const units = this.lineBreaking.units
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .map(unit => unit.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        const numeralUnit = `${NUMERAL_SOURCE}\\s+(?:${units || '(?!)'})(?![\\p{L}\\p{N}])`;
+        this.numeralUnitPattern = new RegExp(numeralUnit, 'gu');
+        this.leadingNumeralUnitPattern = new RegExp(`^${numeralUnit}`, 'u');
+
+        // Chunked processing settings (merged so partial overrides keep the defaults)
+        this.chunking = {
+            ...DEFAULT_CONFIG.chunking,
+            ...this.config.chunking
         };
 
+        // Least recently used segmentations, keyed by text and context (see segmentText())
+        this.segmentCache = this.config.segmentCacheSize > 0 ? new Map() : null;
+
         // Build glyph override map
         this.glyphOverrideMap = {};
         if (this.config.glyphOverrides) {
@@ -187,33 +420,568 @@ class Multilingual {
 
     /**
      * Detect the writing system of a character
+     * @param {string} char - A single character or grapheme cluster (detected by its first code point)
+     * @param {string|null} contextScript - Script of the surrounding text, used for characters shared between scripts
+     * @returns {string} - Script name from the registry, 'common' for shared/neutral characters, or 'unknown'
      */
-    detectScript(char) {
+    detectScript(char, contextScript = null) {
         // Check glyph overrides first
         if (this.glyphOverrideMap[char]) {
             return this.glyphOverrideMap[char];
         }
 
         const charCode = char.codePointAt(0);
+        const base = String.fromCodePoint(charCode);
+        if (base !== char && this.glyphOverrideMap[base]) {
+            return this.glyphOverrideMap[base];
+        }
+        
+        for (const matcher of this.scriptMatchers) {
+            if (matcher.ranges.some(([start, end]) => charCode >= start && charCode <= end)) {
+                return matcher.name;
+            }
+            if (matcher.script && matcher.script.test(base)) {
+                return matcher.name;
+            }
+        }
+        
+        // Characters shared by several scripts (e.g. 々, ー, CJK punctuation)
+        const candidates = this.scriptMatchers
+            .filter(matcher => matcher.extensions && matcher.extensions.test(base))
+            .map(matcher => matcher.name);
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+        if (contextScript && candidates.includes(contextScript)) {
+            return contextScript;
+        }
+        
+        // Numbers, symbols and marks without a script of their own; everything else is a script we don't know
+        if (candidates.length || COMMON_SCRIPT_PATTERN.test(base)) {
+            return 'common';
+        }
+        return 'unknown';
+    }
+
+    /**
+     * Decide whether a character opens or closes a pair of punctuation
+     * Symmetric quotes open before a word and close after one; when that is ambiguous they close
+     * the innermost open quote of the same kind. Quotes between letters or digits are apostrophes (don't, it’s)
+     * @param {string[]} chars - Characters of the text
+     * @param {number} index - Position of the character to check
+     * @param {string[]} open - Opening characters not yet closed, innermost last
+     * @returns {string|null} - 'open', 'close', or null if the character is not paired here
+     */
+    getPairRole(chars, index, open) {
+        const char = chars[index];
+        const closing = this.pairedPunctuation[char];
+        const opening = this.closingToOpening[char];
+        if (!closing && !opening) return null;
+        
+        const before = chars[index - 1] || '';
+        const after = chars[index + 1] || '';
+        
+        if ((char === "'" || char === '\u2019') && /^[\p{L}\p{N}]/u.test(before) && /^[\p{L}\p{N}]/u.test(after)) {
+            return null;
+        }
+        
+        if (closing && closing !== char) return 'open';
+        if (opening && opening !== char) return 'close';
+        
+        const boundaryBefore = !before || /^[\s\p{Ps}\p{Pi}]/u.test(before);
+        const boundaryAfter = !after || /^[\s\p{Pe}\p{Pf}\p{Po}]/u.test(after);
+        if (boundaryBefore && !boundaryAfter) return 'open';
+        if (boundaryAfter && !boundaryBefore) return 'close';
+        return open.includes(char) ? 'close' : 'open';
+    }
+
+    /**
+     * Split text into grapheme clusters, falling back to code points
+     * @returns {string[]}
+     */
+    splitCharacters(text) {
+        if (graphemeSegmenter) {
+            return Array.from(graphemeSegmenter.segment(text), part => part.segment);
+        }
+        return Array.from(text);
+    }
+
+    /**
+     * Find the registry script whose language matches a language tag (e.g. 'ko-KR' → 'korean')
+     */
+    scriptForLang(lang) {
+        if (!lang) return null;
+        const primary = lang.toLowerCase().split('-')[0];
+        return Object.keys(this.scriptToLang).find(script =>
+            (this.scriptToLang[script] || '').toLowerCase().split('-')[0] === primary
+        ) || null;
+    }
+
+    /**
+     * Get the language, script and direction declared for a node by its nearest ancestors
+     * @returns {{lang: string|null, script: string|null, dir: string|null}} - Nearest lang attribute, the script
+     *   from the nearest data-ml-script or lang attribute, and the nearest dir attribute
+     */
+    getDeclaredContext(node) {
+        const langElement = this.closestAcrossShadow(node, '[lang]');
+        const lang = (langElement && langElement.getAttribute('lang')) || null;
+        
+        const scriptElement = this.closestAcrossShadow(node, '[data-ml-script], [lang]');
+        const declaredScript = scriptElement && scriptElement.getAttribute('data-ml-script');
+        const script = declaredScript && this.scripts[declaredScript]
+            ? declaredScript
+            : this.scriptForLang(scriptElement && scriptElement.getAttribute('lang'));
+        
+        const dirElement = this.closestAcrossShadow(node, '[dir]');
+        const dir = (dirElement && dirElement.getAttribute('dir').toLowerCase()) || null;
+        
+        return { lang, script, dir };
+    }
+
+    /**
+     * Find the nearest ancestor (or the node itself) matching a selector, continuing past shadow roots
+     * to their hosts, since lang, dir and data-ml markers are inherited into shadow trees
+     * @returns {Element|null}
+     */
+    closestAcrossShadow(node, selector) {
+        let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element && node.parentNode && node.parentNode.host) {
+            element = node.parentNode.host; // Text directly inside a shadow root
+        }
+        
+        while (element) {
+            const match = element.closest(selector);
+            if (match) return match;
+            const root = element.getRootNode ? element.getRootNode() : null;
+            element = root && root.host ? root.host : null;
+        }
+        return null;
+    }
+
+    /**
+     * Merge consecutive segments with the same script and language
+     */
+    mergeSegments(segments) {
+        return segments.reduce((merged, segment) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.script === segment.script && previous.lang === segment.lang) {
+                merged[merged.length - 1] = { ...previous, text: previous.text + segment.text };
+            } else {
+                merged.push(segment);
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Reassign Han segments to Japanese or Korean according to hanPolicy
+     * @param {Array} segments - Segments by writing system
+     * @param {string|null} declaredLang - Nearest lang attribute of the text, if known
+     * @param {string|null} declaredScript - Script declared for the text, if known
+     */
+    resolveHanSegments(segments, declaredLang = null, declaredScript = null) {
+        const policy = this.config.hanPolicy;
+        if (policy === 'chinese' || !segments.some(segment => segment.script === 'chinese')) {
+            return segments;
+        }
+        
+        const hanScripts = ['japanese', 'korean'];
+        
+        const resolved = segments.map((segment, index) => {
+            if (segment.script !== 'chinese' || BOPOMOFO_PATTERN.test(segment.text)) {
+                return segment;
+            }
+            
+            let script = null;
+            if (policy === 'context') {
+                // Kanji next to kana, hanja next to Hangul
+                const neighbours = [segments[index - 1], segments[index + 1]]
+                    .filter(Boolean)
+                    .map(neighbour => neighbour.script);
+                script = hanScripts.find(name => neighbours.includes(name)) || null;
+            }
+            if (!script && hanScripts.includes(declaredScript)) {
+                script = declaredScript;
+            }
+            
+            if (script) {
+                return { ...segment, script, lang: this.scriptToLang[script] };
+            }
+            
+            // Keep a declared Chinese variant (e.g. zh-Hant) unless languageOverrides sets one
+            if (declaredScript === 'chinese' && !this.config.languageOverrides.chinese) {
+                return { ...segment, lang: declaredLang };
+            }
+            return segment;
+        });
+        
+        if (this.config.debug) {
+            console.log(`Resolved Han segments with policy '${policy}':`, resolved);
+        }
+        
+        return this.mergeSegments(resolved);
+    }
+
+    /**
+     * Get the writing direction of a script
+     * @returns {string} - 'rtl' for scripts registered with dir: 'rtl', otherwise 'ltr'
+     */
+    getScriptDirection(script) {
+        const definition = this.scripts[script];
+        return definition && definition.dir === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Move neutral characters at a boundary between left-to-right and right-to-left text to the side the
+     * Unicode bidi algorithm resolves them to, and mark segments that need a dir attribute
+     * Neutrals between text of one direction take that direction, otherwise the paragraph's (rules N1 and N2);
+     * a closing bracket then follows its opening bracket, so the pair is mirrored together (N0)
+     * @param {Array} segments - Resolved segments
+     * @param {string|null} paragraphDir - Declared direction ('ltr', 'rtl' or 'auto'); defaults to 'ltr'
+     * @param {string|null} declaredScript - Script for neutrals that have no segment of their direction to join
+     * @returns {Array} - Segments, with dir set on those whose direction differs from the paragraph or is rtl
+     */
+    resolveBidiSegments(segments, paragraphDir = null, declaredScript = null) {
+        const directionOf = segment => this.getScriptDirection(segment.script);
+        
+        let base = paragraphDir === 'rtl' ? 'rtl' : 'ltr';
+        if (paragraphDir === 'auto') {
+            // The first segment with letters decides, as for dir="auto"
+            const first = segments.find(segment => /\p{L}/u.test(segment.text));
+            base = first ? directionOf(first) : 'ltr';
+        }
+        
+        // Left-to-right text in a left-to-right paragraph needs nothing
+        if (base === 'ltr' && !segments.some(segment => directionOf(segment) === 'rtl')) {
+            return segments;
+        }
+        
+        const units = [];
+        segments.forEach(segment => {
+            this.splitCharacters(segment.text).forEach(char => units.push({ char, segment }));
+        });
+        
+        // Segments created for neutrals with no neighbour of their resolved direction
+        const directions = new Map();
+        const fallbackSegment = direction => {
+            const script = declaredScript && this.getScriptDirection(declaredScript) === direction
+                ? declaredScript
+                : 'common';
+            const segment = { text: '', script, lang: this.scriptToLang[script] };
+            directions.set(segment, direction);
+            return segment;
+        };
+        const unitDirection = unit => directions.get(unit.segment) || directionOf(unit.segment);
+        
+        // Resolve each run of neutrals from the strong text on either side (start and end of text count as base)
+        for (let i = 0; i < units.length;) {
+            if (!BIDI_NEUTRAL_PATTERN.test(units[i].char)) {
+                i++;
+                continue;
+            }
+            let end = i;
+            while (end < units.length && BIDI_NEUTRAL_PATTERN.test(units[end].char)) end++;
+            
+            const before = units[i - 1];
+            const after = units[end];
+            const beforeDir = before ? unitDirection(before) : base;
+            const afterDir = after ? unitDirection(after) : base;
+            const resolved = beforeDir === afterDir ? beforeDir : base;
+            
+            let target = null;
+            for (let k = i; k < end; k++) {
+                if (unitDirection(units[k]) === resolved) continue;
+                if (!target) {
+                    target = before && beforeDir === resolved ? before.segment
+                        : after && afterDir === resolved ? after.segment
+                        : fallbackSegment(resolved);
+                }
+                units[k].segment = target;
+            }
+            i = end;
+        }
         
-        for (const [script, ranges] of Object.entries(this.scriptRanges)) {
-            for (const [start, end] of ranges) {
-                if (charCode >= start && charCode <= end) {
-                    return script;
+        // Closing brackets and quotes follow their opening
+        const chars = units.map(unit => unit.char);
+        const openings = [];
+        units.forEach((unit, index) => {
+            const role = this.getPairRole(chars, index, openings.map(opening => opening.char));
+            if (role === 'open') {
+                openings.push(unit);
+                return;
+            }
+            if (role !== 'close') return;
+            const opening = this.closingToOpening[unit.char];
+            for (let j = openings.length - 1; j >= 0; j--) {
+                if (openings[j].char === opening) {
+                    if (unitDirection(openings[j]) !== unitDirection(unit)) {
+                        unit.segment = openings[j].segment;
+                    }
+                    openings.splice(j, 1);
+                    break;
                 }
             }
+        });
+        
+        // Regroup consecutive characters by the segment they now belong to
+        const pieces = [];
+        units.forEach(({ char, segment }) => {
+            const last = pieces[pieces.length - 1];
+            if (last && last.source === segment) {
+                last.text += char;
+            } else {
+                pieces.push({ source: segment, text: char });
+            }
+        });
+        
+        return pieces.map(({ source, text }) => {
+            const direction = directions.get(source) || directionOf(source);
+            const segment = { ...source, text };
+            if (direction === 'rtl' || direction !== base) {
+                segment.dir = direction;
+            }
+            return segment;
+        });
+    }
+
+    /**
+     * Compile trigram profiles into per-script language models (once per instance)
+     * @returns {Object} - Script name → [{ lang, weights, floor }]
+     */
+    getLanguageModels() {
+        if (this.languageModels) return this.languageModels;
+        
+        const profiles = { ...LANGUAGE_PROFILES, ...this.languageIdentification.profiles };
+        this.languageModels = {};
+        
+        for (const [lang, profile] of Object.entries(profiles)) {
+            if (!profile) continue;
+            const trigrams = profile.trigrams.split('|');
+            const total = trigrams.length * (trigrams.length + 1) / 2;
+            const weights = new Map();
+            trigrams.forEach((trigram, rank) => {
+                weights.set(trigram, Math.log((trigrams.length - rank) / total));
+            });
+            (this.languageModels[profile.script] = this.languageModels[profile.script] || []).push({
+                lang,
+                weights,
+                floor: Math.log(0.5 / total)
+            });
+        }
+        
+        return this.languageModels;
+    }
+
+    /**
+     * Score a word against each language model (log-likelihood of its trigrams)
+     * @returns {number[]|null} - One score per model, or null for words that carry no language signal
+     */
+    scoreWord(word, models) {
+        // Acronyms and initials (KAIST, N) say nothing about the language
+        if (word === word.toUpperCase()) return null;
+        
+        const chars = Array.from(` ${word.normalize('NFC').toLowerCase()} `);
+        const trigrams = [];
+        for (let i = 0; i + 3 <= chars.length; i++) {
+            trigrams.push(chars.slice(i, i + 3).join(''));
         }
         
-        // Default to latin for unrecognized characters (numbers, punctuation, etc.)
-        return 'latin';
+        return models.map(model => trigrams.reduce((score, trigram) =>
+            score + (model.weights.has(trigram) ? model.weights.get(trigram) : model.floor), 0
+        ));
     }
 
+    /**
+     * Identify the language of each word in a segment and split it where the language changes
+     * @param {Object} segment - Segment with a script that has language models
+     * @param {string|null} declaredLang - Nearest lang attribute, used as the expected language
+     * @returns {Array} - Segments with refined lang and a confidence between 0 and 1
+     */
+    identifyLanguage(segment, declaredLang = null) {
+        const models = this.getLanguageModels()[segment.script];
+        if (!models || models.length < 2) return [segment];
+        
+        const primary = lang => (lang || '').toLowerCase().split('-')[0];
+        const langs = models.map(model => model.lang);
+        
+        // The declared language is expected; otherwise the script's default language
+        const expected = langs.includes(primary(declaredLang)) ? primary(declaredLang) : primary(segment.lang);
+        const expectedIndex = langs.indexOf(expected);
+        
+        // Keep full language tags (e.g. de-CH, en-US) when the detected language matches them
+        const toTag = lang => lang === primary(declaredLang) ? declaredLang
+            : lang === primary(segment.lang) ? segment.lang
+            : lang;
+        
+        const words = Array.from(segment.text.matchAll(/[\p{L}\p{M}]+/gu));
+        const letters = words.reduce((count, word) => count + word[0].length, 0);
+        if (letters < this.languageIdentification.minLength) {
+            return [expectedIndex === -1 ? segment : { ...segment, lang: toTag(expected) }];
+        }
+        
+        const scores = words.map(word => {
+            const score = this.scoreWord(word[0], models);
+            return score && score.map((value, j) => value + (j === expectedIndex ? LANGUAGE_PRIOR_BONUS : 0));
+        });
+        
+        // Most likely language per word, paying a penalty for every switch (Viterbi)
+        let totals = langs.map(() => 0);
+        const backPointers = [];
+        scores.forEach((score, i) => {
+            const best = Math.max(...totals);
+            const bestIndex = totals.indexOf(best);
+            const pointers = [];
+            totals = langs.map((lang, j) => {
+                const stay = totals[j];
+                const change = i === 0 ? best : best - LANGUAGE_SWITCH_PENALTY;
+                pointers.push(stay >= change ? j : bestIndex);
+                return Math.max(stay, change) + (score ? score[j] : 0);
+            });
+            backPointers.push(pointers);
+        });
+        let current = totals.indexOf(Math.max(...totals));
+        const path = [];
+        for (let i = words.length - 1; i >= 0; i--) {
+            path[i] = current;
+            current = backPointers[i][current];
+        }
+        
+        // Confidence of a language over a run of words (softmax of mean trigram scores)
+        const confidence = (wordIndexes, langIndex) => {
+            const scored = wordIndexes.filter(i => scores[i]);
+            if (!scored.length) return undefined;
+            const length = scored.reduce((count, i) => count + Array.from(words[i][0]).length, 0);
+            const means = langs.map((lang, j) =>
+                scored.reduce((sum, i) => sum + scores[i][j], 0) / length * LANGUAGE_CONFIDENCE_SHARPNESS
+            );
+            return 1 / means.reduce((sum, mean) => sum + Math.exp(mean - means[langIndex]), 0);
+        };
+        
+        // Group words into runs; switching language part-way through a segment needs more confidence
+        let runs = [];
+        path.forEach((langIndex, i) => {
+            const run = runs[runs.length - 1];
+            if (run && run.langIndex === langIndex) {
+                run.words.push(i);
+            } else {
+                runs.push({ langIndex, words: [i] });
+            }
+        });
+        runs.forEach(run => {
+            if (runs.length > 1 && expectedIndex !== -1 && run.langIndex !== expectedIndex &&
+                !(confidence(run.words, run.langIndex) >= this.languageIdentification.minConfidence)) {
+                run.langIndex = expectedIndex;
+            }
+        });
+        runs = runs.reduce((merged, run) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.langIndex === run.langIndex) {
+                previous.words.push(...run.words);
+            } else {
+                merged.push(run);
+            }
+            return merged;
+        }, []);
+        
+        // Separators before a word belong to the run before it
+        return runs.map((run, k) => {
+            const start = k === 0 ? 0 : words[run.words[0]].index;
+            const end = k === runs.length - 1 ? segment.text.length : words[runs[k + 1].words[0]].index;
+            const score = confidence(run.words, run.langIndex);
+            const identified = {
+                ...segment,
+                text: segment.text.slice(start, end),
+                lang: toTag(langs[run.langIndex])
+            };
+            if (score !== undefined) {
+                identified.confidence = Math.round(score * 100) / 100;
+            }
+            return identified;
+        });
+    }
 
+    /**
+     * Find the next character with a script of its own, skipping whitespace, punctuation and neutral characters
+     * @param {string[]} chars - Characters from splitCharacters()
+     * @param {number} start - Index to start looking from
+     * @param {string|null} contextScript - Script of the surrounding text
+     * @returns {{script: string|null, index: number}} - Script and index of that character (index is chars.length if none)
+     */
+    findNextScript(chars, start, contextScript) {
+        for (let k = start; k < chars.length; k++) {
+            if (/^[\s\p{P}]/u.test(chars[k])) continue;
+            const script = this.detectScript(chars[k], contextScript);
+            if (script !== 'common') {
+                return { script, index: k };
+            }
+        }
+        return { script: null, index: chars.length };
+    }
 
     /**
      * Split text into segments by writing system
+     * @param {string} text - Text to segment
+     * @param {Object} context - What the surrounding markup declares, if known (see getDeclaredContext())
+     * @param {string|null} context.lang - Nearest lang attribute
+     * @param {string|null} context.script - Script for characters without one (defaults to the script of lang)
+     * @param {string|null} context.dir - Paragraph direction: 'ltr' (default), 'rtl' or 'auto'
+     * @param {Node|null} context.node - Text node being segmented, passed to plugin hooks
+     * @param {Object} [context.report] - Receives unmatched paired punctuation as report.unmatched (see analyze())
+     * @returns {Array} - Segments ({ text, script, lang }); empty if a beforeSegment hook skipped the text
+     */
+    segmentText(text, context = {}) {
+        const node = context.node || null;
+        
+        // Skipped text has no unmatched punctuation either
+        if (context.report) {
+            context.report.unmatched = [];
+        }
+        
+        // Plugins may replace the text, or return false to leave it unwrapped
+        for (const plugin of this.plugins) {
+            if (!plugin.beforeSegment) continue;
+            const result = plugin.beforeSegment.call(this, text, node);
+            if (result === false) return [];
+            if (typeof result === 'string') text = result;
+        }
+        
+        // Repeated strings (navigation, labels, names) are segmented once per context
+        let resolved;
+        const cacheKey = [text, context.lang || '', context.script || '', context.dir || ''].join('\u0000');
+        if (this.segmentCache && !context.report && this.segmentCache.has(cacheKey)) {
+            resolved = this.segmentCache.get(cacheKey);
+            // Move to the most recently used end
+            this.segmentCache.delete(cacheKey);
+            this.segmentCache.set(cacheKey, resolved);
+        } else {
+            resolved = this.splitScripts(text, context);
+            if (this.segmentCache) {
+                this.segmentCache.set(cacheKey, resolved);
+                if (this.segmentCache.size > this.config.segmentCacheSize) {
+                    this.segmentCache.delete(this.segmentCache.keys().next().value);
+                }
+            }
+        }
+        // Copies, so hooks and callers cannot change the cached segments
+        resolved = resolved.map(segment => ({ ...segment }));
+        
+        // Plugins may inspect the segments or return replacements
+        for (const plugin of this.plugins) {
+            if (!plugin.afterSegment) continue;
+            const result = plugin.afterSegment.call(this, resolved, node);
+            if (Array.isArray(result)) resolved = result;
+        }
+        
+        return resolved;
+    }
+
+    /**
+     * Split text into segments by writing system, without plugin hooks or caching (see segmentText())
+     * @returns {Array} - Segments ({ text, script, lang })
      */
-    segmentText(text) {
+    splitScripts(text, context = {}) {
+        const declaredLang = context.lang || null;
+        const declaredScript = context.script || this.scriptForLang(declaredLang);
         const segments = [];
         let currentSegment = '';
         let currentScript = null;
@@ -221,31 +989,57 @@ class Multilingual {
         
         // Track paired punctuation state
         const pairStack = []; // Stack to track opening punctuation and their scripts
+        const unmatched = []; // Closing punctuation without an opening
+        
+        // Next script after the current run of neutral characters (neutralPolicy: 'following')
+        let lookahead = { script: null, index: -1 };
+        
+        const pushSegment = () => {
+            if (currentSegment.trim() && currentSegment.trim().length >= this.config.minSegmentLength) {
+                // Text with no script of its own (digits, punctuation) takes the declared script
+                const script = currentScript && currentScript !== 'common'
+                    ? currentScript
+                    : declaredScript || 'common';
+                segments.push({
+                    text: currentSegment,
+                    script,
+                    lang: this.scriptToLang[script]
+                });
+            }
+        };
         
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const isWhitespaceOrPunctuation = /[\s\p{P}]/u.test(char);
+        // Iterate by grapheme cluster (or at least by code point), so surrogate pairs,
+        // combining marks and emoji sequences are never split between segments
+        const chars = this.splitCharacters(text);
+        
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            const isWhitespaceOrPunctuation = /^[\s\p{P}]/u.test(char);
             
             if (this.config.preserveWhitespace && isWhitespaceOrPunctuation) {
                 let charScript = null;
                 
                 // Check if this is paired punctuation
-                if (this.pairedPunctuation[char]) {
+                const pairRole = this.getPairRole(chars, i, pairStack.map(entry => entry.char));
+                if (pairRole === 'open') {
                     // Opening punctuation - use current context script
-                    charScript = currentScript || lastNonWhitespaceScript || 'latin';
+                    charScript = currentScript || lastNonWhitespaceScript || 'common';
                     if (this.config.debug) {
                         console.log(`Found opening punctuation '${char}', using script: ${charScript}, pushing to stack`);
                     }
                     pairStack.push({ char, script: charScript, index: i });
-                } else if (this.closingToOpening[char]) {
+                } else if (pairRole === 'close') {
                     // Closing punctuation - find matching opening and use its script
                     const openingChar = this.closingToOpening[char];
                     if (this.config.debug) {
                         console.log(`Found closing punctuation '${char}', looking for opening '${openingChar}', stack:`, pairStack);
                     }
+                    let matched = false;
                     for (let j = pairStack.length - 1; j >= 0; j--) {
                         if (pairStack[j].char === openingChar) {
-                            charScript = pairStack[j].script;
+                            matched = true;
+                            // Openings without context take the script of the text they enclose
+                            charScript = pairStack[j].script === 'common' ? null : pairStack[j].script;
                             if (this.config.debug) {
                                 console.log(`Matched with opening at index ${j}, using script: ${charScript}`);
                             }
@@ -253,23 +1047,20 @@ class Multilingual {
                             break;
                         }
                     }
-                    // If no matching opening found, use current context
+                    if (!matched) {
+                        unmatched.push({ char, index: i });
+                    }
+                    // If no matching opening (or one without context) found, use current context
                     if (!charScript) {
-                        charScript = currentScript || lastNonWhitespaceScript || 'latin';
+                        charScript = currentScript || lastNonWhitespaceScript || 'common';
                         if (this.config.debug) {
-                            console.log(`No matching opening found for '${char}', using context script: ${charScript}`);
+                            console.log(`No script from an opening for '${char}', using context script: ${charScript}`);
                         }
                     }
                     
                     // If closing punctuation script differs from current, start new segment
                     if (currentScript && currentScript !== charScript) {
-                        if (currentSegment.trim() && currentSegment.trim().length >= this.config.minSegmentLength) {
-                            segments.push({
-                                text: currentSegment,
-                                script: currentScript,
-                                lang: this.scriptToLang[currentScript]
-                            });
-                        }
+                        pushSegment();
                         currentSegment = '';
                         currentScript = charScript;
                     }
@@ -285,27 +1076,11 @@ class Multilingual {
                 
                 // After adding closing punctuation, check if we should end this segment
                 // if the next non-whitespace character will be a different script
-                if (this.closingToOpening[char] && charScript !== lastNonWhitespaceScript) {
+                if (pairRole === 'close' && charScript !== lastNonWhitespaceScript) {
                     // Look ahead to see if the next meaningful character is different script
-                    let shouldEndSegment = false;
-                    for (let k = i + 1; k < text.length; k++) {
-                        const nextChar = text[k];
-                        if (!/[\s\p{P}]/u.test(nextChar)) {
-                            const nextScript = this.detectScript(nextChar);
-                            if (nextScript !== charScript) {
-                                shouldEndSegment = true;
-                            }
-                            break;
-                        }
-                    }
-                    if (shouldEndSegment) {
-                        if (currentSegment.trim() && currentSegment.trim().length >= this.config.minSegmentLength) {
-                            segments.push({
-                                text: currentSegment,
-                                script: currentScript,
-                                lang: this.scriptToLang[currentScript]
-                            });
-                        }
+                    const nextScript = this.findNextScript(chars, i + 1, charScript).script;
+                    if (nextScript && nextScript !== charScript) {
+                        pushSegment();
                         currentSegment = '';
                         currentScript = null;
                     }
@@ -314,113 +1089,477 @@ class Multilingual {
                 continue;
             }
             
-            const charScript = this.detectScript(char);
-            lastNonWhitespaceScript = charScript; // Track last meaningful script
+            let charScript = this.detectScript(char, currentScript || lastNonWhitespaceScript);
+            if (charScript === 'common') {
+                const policy = NUMERIC_PATTERN.test(char) ? this.config.neutralPolicy : 'preceding';
+                if (policy === 'own') {
+                    charScript = 'numeric';
+                } else if (policy === 'following') {
+                    // Look ahead once per run of neutral characters
+                    if (i >= lookahead.index) {
+                        lookahead = this.findNextScript(chars, i + 1, currentScript || lastNonWhitespaceScript);
+                    }
+                    charScript = lookahead.script || currentScript || lastNonWhitespaceScript || 'common';
+                } else {
+                    // Digits, symbols and marks join the surrounding script
+                    charScript = currentScript || lastNonWhitespaceScript || 'common';
+                }
+            } else {
+                lastNonWhitespaceScript = charScript; // Track last meaningful script
+            }
             
-            if (currentScript === null) {
+            if (currentScript === null || (currentScript === 'common' && charScript !== 'common')) {
+                // Leading neutral characters join the first script that follows them
                 currentScript = charScript;
                 currentSegment += char;
             } else if (currentScript === charScript) {
                 currentSegment += char;
             } else {
                 // Script changed, save current segment and start new one
-                if (currentSegment.trim() && currentSegment.trim().length >= this.config.minSegmentLength) {
-                    segments.push({
-                        text: currentSegment,
-                        script: currentScript,
-                        lang: this.scriptToLang[currentScript]
-                    });
-                }
+                pushSegment();
                 currentSegment = char;
                 currentScript = charScript;
             }
         }
         
         // Add the last segment
-        if (currentSegment.trim() && currentSegment.trim().length >= this.config.minSegmentLength) {
-            segments.push({
-                text: currentSegment,
-                script: currentScript,
-                lang: this.scriptToLang[currentScript]
-            });
+        pushSegment();
+        
+        if (context.report) {
+            context.report.unmatched = unmatched
+                .concat(pairStack.map(({ char, index }) => ({ char, index })))
+                .sort((a, b) => a.index - b.index)
+                .map(({ char, index }) => ({ char, offset: chars.slice(0, index).join('').length }));
         }
         
-        return segments;
+        let resolved = this.resolveHanSegments(this.mergeSegments(segments), declaredLang, declaredScript);
+        
+        if (this.languageIdentification.enabled) {
+            resolved = resolved.flatMap(segment => this.identifyLanguage(segment, declaredLang));
+        }
+        
+        return this.resolveBidiSegments(resolved, context.dir, declaredScript);
     }
 
     /**
-     * Wrap text segments with spans
+     * Build the CSS class list for a segment's span
+     */
+    getSegmentClass(segment) {
+        let cssClass = this.config.cssClasses.wrapper || '';
+        
+        // Add short class name if enabled
+        if (this.config.cssClasses.useShortNames && this.scriptToShortClass[segment.script]) {
+            cssClass += (cssClass ? ' ' : '') + this.scriptToShortClass[segment.script];
+        }
+        
+        // Add custom script-specific class if provided
+        if (this.config.cssClasses.scriptSpecific && this.config.cssClasses.scriptSpecific[segment.script]) {
+            cssClass += (cssClass ? ' ' : '') + this.config.cssClasses.scriptSpecific[segment.script];
+        }
+        
+        return cssClass;
+    }
+
+    /**
+     * Short code for a script in boundary names (ko, en, num, …)
      */
-    wrapSegments(segments) {
-        return segments.map(segment => {
-            const trimmedText = segment.text.trim();
-            if (!trimmedText) {
-                return segment.text; // Return whitespace as-is
+    getBoundaryCode(script) {
+        const shortClass = this.scriptToShortClass[script];
+        return shortClass ? shortClass.replace(/^ml-/, '') : script;
+    }
+
+    /**
+     * Inline style for a segment from the typography settings
+     * @param {Object} segment
+     * @param {Object|null} previous - Segment before it in the same text, if any
+     * @param {string|null} boundary - Boundary name (e.g. 'ko-en') if the script changes here
+     */
+    getSegmentStyle(segment, previous, boundary) {
+        const { autospace, spacing, baselineShift, sizeAdjust } = this.typography;
+        const declarations = [];
+        
+        if (boundary) {
+            const space = [];
+            
+            // Scripts set against each other without whitespace
+            const tight = !/\s$/.test(previous.text) && !/^\s/.test(segment.text);
+            const native = nativeAutospace !== false && [previous.script, segment.script].some(script =>
+                AUTOSPACE_IDEOGRAPHIC_SCRIPTS.includes(script)
+            ) && [previous.script, segment.script].some(script =>
+                AUTOSPACE_ALPHANUMERIC_SCRIPTS.includes(script)
+            );
+            if (autospace && tight && !native) {
+                space.push(autospace);
+            }
+            if (spacing[boundary]) {
+                space.push(spacing[boundary]);
             }
             
-            // Build CSS classes
-            let cssClass = this.config.cssClasses.wrapper || '';
+            if (space.length) {
+                declarations.push(`margin-inline-start: ${space.length > 1 ? `calc(${space.join(' + ')})` : space[0]}`);
+            }
+        }
+        
+        if (baselineShift[segment.script]) {
+            declarations.push('position: relative', `top: calc(-1 * ${baselineShift[segment.script]})`);
+        }
+        if (sizeAdjust[segment.script]) {
+            declarations.push(`font-size: ${sizeAdjust[segment.script]}`);
+        }
+        
+        if (this.lineBreaking.enabled) {
+            if (this.lineBreaking.keepAll.includes(segment.script)) {
+                declarations.push('word-break: keep-all');
+            } else if (this.lineBreaking.phrases.includes(segment.script) && this.getWordSegmenter(segment.lang)) {
+                // Only <wbr> breaks the line, unless a phrase is too long to fit
+                declarations.push('word-break: keep-all', 'overflow-wrap: anywhere');
+            }
+        }
+        
+        return declarations.join('; ');
+    }
+
+    /**
+     * Get a word segmenter for a language (shared between instances)
+     * @returns {Intl.Segmenter|null} - null where Intl.Segmenter is unavailable
+     */
+    getWordSegmenter(lang) {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+        
+        const key = lang || '';
+        if (!wordSegmenters.has(key)) {
+            wordSegmenters.set(key, new Intl.Segmenter(lang || undefined, { granularity: 'word' }));
+        }
+        return wordSegmenters.get(key);
+    }
+
+    /**
+     * Split a segment's text for line breaking (see lineBreaking)
+     * Numbers are only kept with a unit or word in the same segment (see joinNumeralUnits())
+     * @param {Object} segment
+     * @param {boolean} last - Whether the segment ends the text (a number there stays with the word before it)
+     * @returns {Array<{type: string, text: string}>} - 'text' parts, 'nobreak' parts to keep on one line,
+     *   and 'wbr' markers where a phrase may break
+     */
+    getLineBreakParts(segment, last = true) {
+        const text = segment.text;
+        const { enabled, phrases, numeralUnits } = this.lineBreaking;
+        if (!enabled) {
+            return [{ type: 'text', text }];
+        }
+        
+        // Ranges to keep together, merged where they overlap
+        const ranges = [];
+        if (numeralUnits) {
+            [this.numeralUnitPattern, last ? TRAILING_NUMERAL_PATTERN : null].filter(Boolean).forEach(pattern => {
+                for (const match of text.matchAll(pattern)) {
+                    ranges.push([match.index, match.index + match[0].length]);
+                }
+            });
+            ranges.sort((a, b) => a[0] - b[0]);
+            for (let i = 1; i < ranges.length; i++) {
+                if (ranges[i][0] <= ranges[i - 1][1]) {
+                    ranges[i - 1][1] = Math.max(ranges[i - 1][1], ranges[i][1]);
+                    ranges.splice(i--, 1);
+                }
+            }
+        }
+        
+        // Phrase boundaries: words, with particles and okurigana (hiragana), punctuation and
+        // anything after a number or an opening bracket joined to what comes before
+        const breaks = [];
+        const segmenter = phrases.includes(segment.script) && this.getWordSegmenter(segment.lang);
+        if (segmenter) {
+            let previous = '';
+            for (const { segment: word, index, isWordLike } of segmenter.segment(text)) {
+                const joins = !isWordLike ||
+                    (segment.script === 'japanese' && /^\p{Script=Hiragana}+$/u.test(word)) ||
+                    /[\s\p{N}\p{Ps}\p{Pi}]$/u.test(previous) ||
+                    /^\s/u.test(word);
+                if (index > 0 && !joins && !ranges.some(([start, end]) => index > start && index < end)) {
+                    breaks.push(index);
+                }
+                previous = word;
+            }
+        }
+        
+        const parts = [];
+        let position = 0;
+        const addText = end => {
+            if (end > position) {
+                parts.push({ type: 'text', text: text.slice(position, end) });
+                position = end;
+            }
+        };
+        const points = [
+            ...breaks.map(index => ({ index, type: 'wbr' })),
+            ...ranges.map(([index, end]) => ({ index, end, type: 'nobreak' }))
+        ].sort((a, b) => a.index - b.index);
+        points.forEach(point => {
+            addText(point.index);
+            if (point.type === 'wbr') {
+                parts.push({ type: 'wbr', text: '' });
+            } else {
+                parts.push({ type: 'nobreak', text: text.slice(point.index, point.end) });
+                position = point.end;
+            }
+        });
+        addText(text.length);
+        
+        return parts;
+    }
+
+    /**
+     * Attributes for a segment's span, in order
+     * @param {Object} segment
+     * @param {Object|null} previous - Segment before it in the same text, if any
+     * @returns {Array<Array<string>>} - [name, value] pairs
+     */
+    getSegmentAttributes(segment, previous = null) {
+        const attributes = [];
+        
+        if (segment.lang) {
+            attributes.push(['lang', segment.lang]);
+        }
+        // A dir attribute also isolates the span (unicode-bidi: isolate), so its text is reordered on its own
+        if (segment.dir) {
+            attributes.push(['dir', segment.dir]);
+        }
+        attributes.push(['data-script', segment.script]);
+        
+        const cssClass = this.getSegmentClass(segment);
+        if (cssClass) {
+            attributes.push(['class', cssClass]);
+        }
+        
+        if (segment.confidence !== undefined) {
+            attributes.push(['data-lang-confidence', segment.confidence.toFixed(2)]);
+        }
+        
+        const boundary = previous && previous.script !== segment.script
+            ? `${this.getBoundaryCode(previous.script)}-${this.getBoundaryCode(segment.script)}`
+            : null;
+        if (boundary && this.typography.boundaries) {
+            attributes.push(['data-ml-boundary', boundary]);
+        }
+        
+        const style = this.getSegmentStyle(segment, previous, boundary);
+        if (style) {
+            attributes.push(['style', style]);
+        }
+        
+        return attributes;
+    }
+
+    /**
+     * Move a number that ends a segment into the next segment when that one starts with its unit
+     * (거리 10 km → 거리 | 10 km), so line breaking can keep the two together
+     * @returns {Array} - New segments, with the same text overall
+     */
+    joinNumeralUnits(segments) {
+        const { enabled, numeralUnits } = this.lineBreaking;
+        if (!enabled || !numeralUnits) return segments;
+        
+        const joined = segments.map(segment => ({ ...segment }));
+        for (let i = 0; i < joined.length - 1; i++) {
+            const number = joined[i].text.match(SEGMENT_END_NUMERAL_PATTERN);
+            const next = joined[i + 1];
+            if (!number || !next.text.trim() || !this.leadingNumeralUnitPattern.test(number[0] + next.text)) continue;
             
-            // Add short class name if enabled
-            if (this.config.cssClasses.useShortNames && this.scriptToShortClass[segment.script]) {
-                cssClass += (cssClass ? ' ' : '') + this.scriptToShortClass[segment.script];
+            joined[i].text = joined[i].text.slice(0, number.index);
+            next.text = number[0] + next.text;
+        }
+        return joined.filter(segment => segment.text);
+    }
+
+    /**
+     * Pair each segment to wrap with the segment before it (whitespace-only segments are left as text),
+     * and split its text for line breaking
+     */
+    withPreviousSegments(segments) {
+        segments = this.joinNumeralUnits(segments);
+        let previous = null;
+        const last = segments.map(segment => segment.text.trim() !== '').lastIndexOf(true);
+        return segments.map((segment, index) => {
+            if (!segment.text.trim()) {
+                return { segment, attributes: null, parts: null };
+            }
+            const attributes = this.getSegmentAttributes(segment, previous);
+            previous = segment;
+            return { segment, attributes, parts: this.getLineBreakParts(segment, index === last) };
+        });
+    }
+
+    /**
+     * Wrap text segments with spans
+     * Text is only ever inserted as text nodes, so it is never re-parsed as markup
+     * A plugin's renderSegment(segment, attributes, doc) can return its own node instead of the span;
+     * keep data-script on it so unwrap() and observe mode recognize it
+     * @param {Array} segments - Segments from segmentText()
+     * @param {Document} doc - Document to create nodes in
+     * @returns {Node[]} - Spans (and bare whitespace text nodes) in document order
+     */
+    wrapSegments(segments, doc = document) {
+        return this.withPreviousSegments(segments).map(({ segment, attributes, parts }) => {
+            if (!attributes) {
+                return doc.createTextNode(segment.text); // Return whitespace as-is
             }
             
-            // Add custom script-specific class if provided
-            if (this.config.cssClasses.scriptSpecific && this.config.cssClasses.scriptSpecific[segment.script]) {
-                cssClass += (cssClass ? ' ' : '') + this.config.cssClasses.scriptSpecific[segment.script];
+            for (const plugin of this.plugins) {
+                if (!plugin.renderSegment) continue;
+                const node = plugin.renderSegment.call(this, segment, attributes, doc);
+                if (node) return node;
             }
             
-            const classAttr = cssClass ? ` class="${cssClass}"` : '';
+            const span = doc.createElement('span');
+            attributes.forEach(([name, value]) => span.setAttribute(name, value));
+            parts.forEach(part => {
+                if (part.type === 'wbr') {
+                    span.appendChild(doc.createElement('wbr'));
+                } else if (part.type === 'nobreak') {
+                    const nobreak = doc.createElement('span');
+                    nobreak.setAttribute('data-ml-nobreak', '');
+                    nobreak.setAttribute('style', 'white-space: nowrap');
+                    nobreak.appendChild(doc.createTextNode(part.text));
+                    span.appendChild(nobreak);
+                } else {
+                    span.appendChild(doc.createTextNode(part.text));
+                }
+            });
+            return span;
+        });
+    }
+
+    /**
+     * Wrap text segments with spans as an HTML string
+     * Needs no DOM, so it can be used at build time (see scripts/prerender.js)
+     * @param {Array} segments - Segments from segmentText()
+     * @returns {string} - Escaped HTML
+     */
+    wrapSegmentsHTML(segments) {
+        const escape = Multilingual.escapeHTML;
+        
+        return this.withPreviousSegments(segments).map(({ segment, attributes, parts }) => {
+            if (!attributes) {
+                return escape(segment.text); // Return whitespace as-is
+            }
             
-            return `<span lang="${segment.lang}" data-script="${segment.script}"${classAttr}>${segment.text}</span>`;
+            const attributeHTML = attributes.map(([name, value]) => ` ${name}="${escape(value)}"`).join('');
+            const contentHTML = parts.map(part => {
+                if (part.type === 'wbr') return '<wbr>';
+                if (part.type === 'nobreak') return `<span data-ml-nobreak style="white-space: nowrap">${escape(part.text)}</span>`;
+                return escape(part.text);
+            }).join('');
+            return `<span${attributeHTML}>${contentHTML}</span>`;
         }).join('');
     }
 
     /**
      * Process a text node and replace it with wrapped content
+     * @returns {Array|null} - Segments wrapped, or null if the text was left as it is
      */
     processTextNode(textNode) {
         const text = textNode.textContent;
-        if (!text.trim()) return; // Skip empty text nodes
+        if (!text.trim()) return null; // Skip empty text nodes
         
-        const segments = this.segmentText(text);
-        const wrappedHTML = this.wrapSegments(segments);
+        // Joined here already, so the segments returned (and reported in multilingual:wrapped) match the spans
+        const segments = this.joinNumeralUnits(
+            this.segmentText(text, { ...this.getDeclaredContext(textNode), node: textNode })
+        );
+        const nodes = this.wrapSegments(segments, textNode.ownerDocument);
         
-        // Create a temporary container to parse the HTML
-        const temp = document.createElement('div');
-        temp.innerHTML = wrappedHTML;
+        // Leave the text untouched if every segment was filtered out
+        if (!nodes.length) return null;
         
-        // Replace the text node with the new nodes
+        // Replace the text node with the new nodes, remembering where they came from
         const parent = textNode.parentNode;
-        while (temp.firstChild) {
-            parent.insertBefore(temp.firstChild, textNode);
-        }
+        nodes.forEach(node => {
+            parent.insertBefore(node, textNode);
+            sourceTextNodes.set(node, textNode);
+        });
+        generatedNodes.set(textNode, nodes);
         parent.removeChild(textNode);
+        
+        return segments;
     }
 
     /**
-     * Recursively process all text nodes in an element
+     * Merge wrapped spans inside an element back into plain text nodes
      */
-    processElement(element) {
+    unwrapElement(element) {
+        element.querySelectorAll('[data-script]').forEach(span => this.restoreText(span));
+    }
+
+    /**
+     * Merge a wrapped span (or a text node wrapping left plain) and the rest of its run back into one text node
+     * @param {Node} node - A span or text node created by wrapping
+     * @returns {Text|null} - The restored text node, or null if the node was already removed
+     */
+    restoreText(node) {
+        const parent = node.parentNode;
+        if (!parent) return null; // Already removed as part of a restored text node
+        
+        const source = sourceTextNodes.get(node);
+        if (source && generatedNodes.has(source)) {
+            // Put the original text node back, keeping any edits made to the spans since
+            const nodes = generatedNodes.get(source).filter(generated => generated.parentNode === parent);
+            source.data = nodes.map(generated => generated.textContent).join('');
+            parent.insertBefore(source, nodes[0]);
+            nodes.forEach(generated => parent.removeChild(generated));
+            generatedNodes.delete(source);
+            return source;
+        }
+        
+        // Spans we did not create in this session (e.g. pre-rendered markup): merge into neighbouring text
+        let text = node;
+        if (node.nodeType !== Node.TEXT_NODE) {
+            text = document.createTextNode(node.textContent);
+            parent.replaceChild(text, node);
+        }
+        while (text.previousSibling && text.previousSibling.nodeType === Node.TEXT_NODE) {
+            text.data = text.previousSibling.data + text.data;
+            parent.removeChild(text.previousSibling);
+        }
+        while (text.nextSibling && text.nextSibling.nodeType === Node.TEXT_NODE) {
+            text.data += text.nextSibling.data;
+            parent.removeChild(text.nextSibling);
+        }
+        return text;
+    }
+
+    /**
+     * Check whether a text node should be segmented
+     */
+    shouldProcessTextNode(node) {
+        const parent = node.parentElement;
+        if (!parent) return true;
+        
+        // Skip text nodes that are already inside our spans (or nobreak spans within them)
+        if (parent.hasAttribute('data-script') || parent.hasAttribute('data-ml-nobreak') ||
+            this.config.skipElements.includes(parent.tagName.toLowerCase())) {
+            return false;
+        }
+        
+        // The nearest data-ml marker decides (data-ml="skip" opts out, data-ml="wrap" opts back in)
+        const marked = this.closestAcrossShadow(parent, '[data-ml]');
+        return !marked || marked.getAttribute('data-ml') !== 'skip';
+    }
+
+    /**
+     * Collect all text nodes (not just direct children) of an element that should be segmented
+     */
+    collectTextNodes(element) {
         // Skip if element is in the skip list
-        if (this.config.skipElements.includes(element.tagName.toLowerCase())) {
-            return;
+        if (element.tagName && this.config.skipElements.includes(element.tagName.toLowerCase())) {
+            return [];
         }
         
-        // Get all text nodes (not just direct children)
         const walker = document.createTreeWalker(
             element,
             NodeFilter.SHOW_TEXT,
             {
                 acceptNode: function(node) {
-                    // Skip text nodes that are already inside our spans
-                    if (node.parentElement && 
-                        (node.parentElement.hasAttribute('data-script') || 
-                         this.config.skipElements.includes(node.parentElement.tagName.toLowerCase()))) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    return NodeFilter.FILTER_ACCEPT;
+                    return this.shouldProcessTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
                 }.bind(this)  // Bind 'this' context to access this.config
             }
         );
@@ -430,6 +1569,16 @@ class Multilingual {
         while (node = walker.nextNode()) {
             textNodes.push(node);
         }
+        return textNodes;
+    }
+
+    /**
+     * Recursively process all text nodes in an element
+     * @returns {Array} - Segments wrapped, in document order
+     */
+    processElement(element) {
+        const textNodes = this.collectTextNodes(element);
+        const segments = [];
 
         if (this.config.debug) {
             console.log(`Processing ${textNodes.length} text nodes in element:`, element);
@@ -437,56 +1586,727 @@ class Multilingual {
 
         // Process text nodes in reverse order to avoid issues with DOM modification
         for (let i = textNodes.length - 1; i >= 0; i--) {
-            this.processTextNode(textNodes[i]);
+            const wrapped = this.processTextNode(textNodes[i]);
+            if (wrapped) segments.unshift(...wrapped);
         }
+        
+        return segments;
     }
 
     /**
-     * Main method to wrap multilingual text in an element
-     * @param {string|HTMLElement} selector - CSS selector, element ID, class name, or DOM element
+     * Fire a multilingual:wrapped event on a processed root
+     * detail.segments lists what was wrapped (e.g. for counting scripts); the event bubbles
      */
-    wrap(selector) {
+    dispatchWrapped(element, segments) {
+        if (typeof CustomEvent === 'undefined') return;
+        
+        element.dispatchEvent(new CustomEvent('multilingual:wrapped', {
+            bubbles: true,
+            detail: { multilingual: this, segments }
+        }));
+    }
+
+    /**
+     * Resolve a selector to a list of elements
+     * Strings are CSS selectors; a bare name that matches no tag is also tried as an ID, then a class
+     * (so 'content' still finds #content). Nodes can be elements, documents, document fragments or shadow roots,
+     * alone or in a NodeList, HTMLCollection or array. With shadowDOM, open shadow roots inside are included
+     * @param {string|Node|NodeList|Array} selector - CSS selector, element ID, class name, DOM node, or list of nodes
+     * @returns {Array<Element|DocumentFragment>} - Elements and shadow roots (or other fragments), without duplicates
+     */
+    resolveElements(selector) {
         let elements = [];
         
         if (typeof selector === 'string') {
-            // Try different selection methods
-            if (selector.startsWith('#')) {
-                // ID selector
-                const element = document.getElementById(selector.slice(1));
-                if (element) elements = [element];
-            } else if (selector.startsWith('.')) {
-                // Class selector
-                elements = Array.from(document.getElementsByClassName(selector.slice(1)));
-            } else if (selector.includes(' ') || selector.includes('>', '+', '~')) {
-                // Complex CSS selector
+            try {
                 elements = Array.from(document.querySelectorAll(selector));
-            } else {
-                // Try as tag name first, then as ID, then as class
-                elements = Array.from(document.getElementsByTagName(selector));
-                if (elements.length === 0) {
-                    const byId = document.getElementById(selector);
-                    if (byId) elements = [byId];
+            } catch (error) {
+                throw new Error(`Multilingual: invalid selector "${selector}"`);
+            }
+            
+            if (elements.length === 0 && /^[\w-]+$/.test(selector)) {
+                const byId = document.getElementById(selector);
+                elements = byId ? [byId] : Array.from(document.getElementsByClassName(selector));
+            }
+        } else if (selector && typeof selector === 'object') {
+            const nodes = typeof selector.nodeType === 'number' ? [selector] : Array.from(selector);
+            nodes.forEach(node => {
+                if (!node) return;
+                if (node.nodeType === Node.DOCUMENT_NODE) {
+                    if (node.body) elements.push(node.body);
+                } else if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+                    elements.push(node);
                 }
-                if (elements.length === 0) {
-                    elements = Array.from(document.getElementsByClassName(selector));
+            });
+        }
+        
+        if (this.config.shadowDOM) {
+            elements = this.withShadowRoots(elements);
+        }
+
+        return Array.from(new Set(elements));
+    }
+
+    /**
+     * Add the open shadow roots found inside elements (including nested ones)
+     * @param {Array<Element|DocumentFragment>} elements
+     * @returns {Array<Element|DocumentFragment>}
+     */
+    withShadowRoots(elements) {
+        const roots = [];
+        const visit = root => {
+            roots.push(root);
+            if (root.shadowRoot) {
+                visit(root.shadowRoot);
+            }
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+            let element;
+            while (element = walker.nextNode()) {
+                if (element.shadowRoot) {
+                    visit(element.shadowRoot);
+                }
+            }
+        };
+        elements.forEach(visit);
+        return roots;
+    }
+
+    /**
+     * Main method to wrap multilingual text in an element
+     * @param {string|Node|NodeList|Array} selector - CSS selector, element ID, class name, DOM node, or list of nodes
+     *   (see resolveElements())
+     */
+    wrap(selector) {
+        const elements = this.resolveElements(selector);
+
+        if (this.chunking.enabled) {
+            // Wrapping continues after this returns; multilingual:wrapped fires on each element when it is done
+            this.processChunked(elements).then(() => {
+                if (this.fontMatching.enabled) {
+                    this.startFontMatching(elements);
                 }
+            });
+        } else {
+            // Process each element
+            elements.forEach(element => {
+                this.dispatchWrapped(element, this.processElement(element));
+            });
+            
+            if (this.fontMatching.enabled) {
+                this.startFontMatching(elements);
             }
-        } else if (selector instanceof HTMLElement) {
-            elements = [selector];
         }
 
-        // Process each element
+        if (this.config.debug) {
+            console.log(`Wrapped ${elements.length} elements`);
+        }
+
+        // Keep wrapping content that is inserted later
+        if (this.config.observe) {
+            this.observe(elements);
+        }
+
+        return elements.length;
+    }
+
+    /**
+     * Wrap the text of elements in time slices when the browser is idle, so long documents
+     * don't block input or animation frames
+     * With chunking.viewportFirst, text near the viewport (including where the reader scrolls to) goes first
+     * @param {HTMLElement[]} elements
+     * @returns {Promise<number>} - Resolves with the number of text nodes wrapped, once all are done or unwrap() cancels
+     */
+    processChunked(elements) {
+        const job = { elements, cancelled: false };
+        pendingJobs.add(job);
+        
+        // Text nodes in document order, with the element each belongs to
+        const items = elements.flatMap(root => this.collectTextNodes(root).map(node => ({ node, root, done: false, segments: null })));
+        const queue = items.slice();
+        const priority = [];
+        
+        let viewport = null;
+        if (this.chunking.viewportFirst && typeof IntersectionObserver !== 'undefined') {
+            const byParent = new Map();
+            items.forEach(item => {
+                const parent = item.node.parentElement;
+                if (!byParent.has(parent)) byParent.set(parent, []);
+                byParent.get(parent).push(item);
+            });
+            
+            viewport = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    priority.push(...(byParent.get(entry.target) || []));
+                    byParent.delete(entry.target);
+                    viewport.unobserve(entry.target);
+                });
+            }, { rootMargin: '50% 0px' });
+            byParent.forEach((_, parent) => viewport.observe(parent));
+        }
+        
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        let wrapped = 0;
+        
+        return new Promise(resolve => {
+            const finish = () => {
+                if (viewport) viewport.disconnect();
+                pendingJobs.delete(job);
+                if (!job.cancelled) {
+                    elements.forEach(root => this.dispatchWrapped(root, items
+                        .filter(item => item.root === root && item.segments)
+                        .flatMap(item => item.segments)));
+                }
+                if (this.config.debug) {
+                    console.log(`Wrapped ${wrapped} text nodes in slices${job.cancelled ? ' (cancelled)' : ''}`);
+                }
+                resolve(wrapped);
+            };
+            
+            const slice = deadline => {
+                if (job.cancelled) return finish();
+                
+                const idle = deadline && deadline.timeRemaining() > 0 ? deadline.timeRemaining() : this.chunking.budget;
+                const end = now() + Math.min(this.chunking.budget, idle);
+                
+                while (priority.length || queue.length) {
+                    const item = priority.length ? priority.shift() : queue.shift();
+                    const node = item.node;
+                    
+                    // Skip nodes already wrapped (near the viewport, or by observe mode) or since removed
+                    if (item.done) continue;
+                    item.done = true;
+                    if (!generatedNodes.has(node) && node.isConnected && this.shouldProcessTextNode(node)) {
+                        item.segments = this.processTextNode(node);
+                        if (item.segments) wrapped++;
+                    }
+                    if (now() >= end) break;
+                }
+                
+                // Our own insertions are not new content for observe mode
+                if (this.observer) {
+                    this.observer.takeRecords();
+                }
+                
+                if (priority.length || queue.length) {
+                    scheduleIdle(slice);
+                } else {
+                    finish();
+                }
+            };
+            
+            scheduleIdle(slice);
+        });
+    }
+
+    /**
+     * Watch elements for added nodes and changed text, and wrap them as they appear
+     * @param {string|HTMLElement|HTMLElement[]} selector - CSS selector, DOM element, or array of elements
+     * @returns {number} - Number of elements being observed
+     */
+    observe(selector) {
+        if (typeof MutationObserver === 'undefined') {
+            return 0;
+        }
+
+        const elements = this.resolveElements(selector);
+        
+        if (!this.observer) {
+            this.observer = new MutationObserver(records => this.handleMutations(records));
+            this.observedElements = new Set();
+            observingInstances.add(this);
+        }
+        
         elements.forEach(element => {
-            this.processElement(element);
+            this.observedElements.add(element);
+            this.observer.observe(element, {
+                childList: true,
+                characterData: true,
+                subtree: true
+            });
         });
 
         if (this.config.debug) {
-            console.log(`Wrapped ${elements.length} elements`);
+            console.log(`Observing ${elements.length} elements`);
+        }
+
+        return elements.length;
+    }
+
+    /**
+     * Re-segment only the text nodes affected by a batch of mutations
+     */
+    handleMutations(records) {
+        const textNodes = new Set();
+        
+        for (const record of records) {
+            if (record.type === 'characterData') {
+                // Edited wrapped text: segment its whole run again, so script and lang follow the new text
+                const target = record.target;
+                const span = target.parentElement && target.parentElement.closest('[data-script]');
+                if (span || sourceTextNodes.has(target)) {
+                    const restored = this.restoreText(span || target);
+                    if (restored) textNodes.add(restored);
+                } else {
+                    textNodes.add(target);
+                }
+                continue;
+            }
+            record.addedNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    textNodes.add(node);
+                } else if (node.nodeType === Node.ELEMENT_NODE) {
+                    const roots = this.config.shadowDOM ? this.withShadowRoots([node]) : [node];
+                    roots.forEach(root => {
+                        this.collectTextNodes(root).forEach(textNode => textNodes.add(textNode));
+                    });
+                    
+                    // Shadow roots are not covered by the observer of the tree around them
+                    const shadowRoots = roots.filter(root => root !== node && !this.observedElements.has(root));
+                    if (shadowRoots.length) {
+                        this.observe(shadowRoots);
+                    }
+                }
+            });
+        }
+
+        // Segments wrapped under each parent element
+        const parents = new Map();
+        textNodes.forEach(node => {
+            // Nodes may have been removed or replaced by a later mutation in the same batch
+            if (node.isConnected && node.parentNode && this.shouldProcessTextNode(node)) {
+                const parent = node.parentNode;
+                const segments = this.processTextNode(node) || [];
+                parents.set(parent, (parents.get(parent) || []).concat(segments));
+            }
+        });
+        
+        parents.forEach((segments, parent) => this.dispatchWrapped(parent, segments));
+
+        if (this.fontMatching.enabled && parents.size) {
+            this.startFontMatching(Array.from(parents.keys()));
+        }
+
+        if (this.config.debug && textNodes.size) {
+            console.log(`Re-wrapped ${textNodes.size} mutated text nodes`);
+        }
+
+        // Drop the records generated by our own span insertions
+        if (this.observer) {
+            this.observer.takeRecords();
+        }
+    }
+
+    /**
+     * Stop watching for changes started by observe()
+     */
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+            this.observedElements = null;
+            observingInstances.delete(this);
+        }
+    }
+
+    /**
+     * Check whether this instance observes any of the given elements, their ancestors or descendants
+     */
+    isObserving(elements) {
+        if (!this.observedElements) return false;
+        const observed = Array.from(this.observedElements);
+        return elements.some(element =>
+            observed.some(root => root.contains(element) || element.contains(root))
+        );
+    }
+
+    /**
+     * Restore the original text nodes in elements, removing all wrapped spans
+     * @param {string|HTMLElement|HTMLElement[]} selector - CSS selector, DOM element, or array of elements
+     * @returns {number} - Number of elements processed
+     */
+    unwrap(selector) {
+        const elements = this.resolveElements(selector);
+        
+        // Stop chunked wrapping that would otherwise wrap the restored text again
+        pendingJobs.forEach(job => {
+            if (job.elements.some(root => elements.some(element => root.contains(element) || element.contains(root)))) {
+                job.cancelled = true;
+            }
+        });
+        
+        elements.forEach(element => {
+            this.unwrapElement(element);
+        });
+        this.releaseFontMatching(elements);
+
+        // Observers should not re-wrap the text nodes we just restored
+        observingInstances.forEach(instance => instance.observer.takeRecords());
+
+        if (this.config.debug) {
+            console.log(`Unwrapped ${elements.length} elements`);
         }
 
         return elements.length;
     }
 
+    /**
+     * Unwrap elements and wrap them again with this instance's configuration
+     * @param {string|HTMLElement|HTMLElement[]} selector - CSS selector, DOM element, or array of elements
+     * @returns {number} - Number of elements processed
+     */
+    rewrap(selector) {
+        const elements = this.resolveElements(selector);
+        this.unwrap(elements);
+        return this.wrap(elements);
+    }
+
+    /**
+     * Measure the x-height or cap height of a font, as a fraction of its font size
+     * @param {string} font - CSS font shorthand at 100px
+     * @returns {number|null} - null where text metrics are unavailable
+     */
+    measureFont(font) {
+        if (!this.fontMetrics) {
+            this.fontMetrics = new Map();
+        }
+        if (this.fontMetrics.has(font)) {
+            return this.fontMetrics.get(font);
+        }
+        
+        if (!this.measureContext) {
+            const canvas = document.createElement('canvas');
+            this.measureContext = canvas.getContext && canvas.getContext('2d');
+        }
+        if (!this.measureContext) return null;
+        
+        this.measureContext.font = font;
+        const metrics = this.measureContext.measureText(this.fontMatching.metric === 'capHeight' ? 'H' : 'x');
+        const height = metrics && metrics.actualBoundingBoxAscent ? metrics.actualBoundingBoxAscent / 100 : null;
+        
+        this.fontMetrics.set(font, height);
+        return height;
+    }
+
+    /**
+     * Size wrapped spans so each script's x-height (or cap height) matches the text around it
+     * Waits for every font involved, then measures the faces that actually render, so the result
+     * holds whichever fonts load or fall back
+     * @param {string|HTMLElement|HTMLElement[]} selector - CSS selector, DOM element, or array of elements
+     * @returns {Promise<Object>} - Size ratios applied, keyed by "script font → surrounding font"
+     */
+    async matchFontSizes(selector) {
+        const elements = this.resolveElements(selector);
+        const { scripts, minRatio, maxRatio } = this.fontMatching;
+        const ratios = {};
+        
+        if (typeof document === 'undefined' || !document.fonts || typeof getComputedStyle !== 'function') {
+            return ratios;
+        }
+        
+        // Scripts with an explicit size in typography.sizeAdjust keep it
+        const spans = elements
+            .flatMap(element => Array.from(element.querySelectorAll('[data-script]')))
+            .filter(span => {
+                const script = span.getAttribute('data-script');
+                return (!scripts || scripts.includes(script)) && !this.typography.sizeAdjust[script];
+            });
+        
+        // Remove earlier adjustments so computed styles reflect the stylesheet again
+        // (spans directly in a shadow root take the surrounding font from its host)
+        const fontOf = style => `${style.fontStyle} ${style.fontWeight} 100px ${style.fontFamily}`;
+        const pairs = spans.map(span => {
+            span.style.removeProperty('font-size');
+            const parent = span.parentElement || (span.parentNode && span.parentNode.host);
+            return parent && {
+                span,
+                font: fontOf(getComputedStyle(span)),
+                baseFont: fontOf(getComputedStyle(parent))
+            };
+        }).filter(pair => pair && pair.font !== pair.baseFont);
+        
+        // Wait for every face involved (fonts that fail to load fall back, and we measure the fallback)
+        const fonts = new Set(pairs.flatMap(pair => [pair.font, pair.baseFont]));
+        await Promise.all(Array.from(fonts, font => document.fonts.load(font).catch(() => [])));
+        await document.fonts.ready;
+        
+        pairs.forEach(({ span, font, baseFont }) => {
+            const height = this.measureFont(font);
+            const baseHeight = this.measureFont(baseFont);
+            if (!height || !baseHeight) return;
+            
+            const ratio = Math.min(maxRatio, Math.max(minRatio, baseHeight / height));
+            if (Math.abs(ratio - 1) >= 0.005) {
+                span.style.fontSize = `${Math.round(ratio * 1000) / 10}%`;
+            }
+            ratios[`${font} → ${baseFont}`] = ratio;
+        });
+        
+        // Fonts that finish loading later (e.g. the Typekit kit) change the measurements
+        elements.forEach(element => fontMatchedElements.set(element, this));
+        if (!fontLoadingListener) {
+            fontLoadingListener = () => {
+                const elementsByInstance = new Map();
+                fontMatchedElements.forEach((instance, element) => {
+                    if (!element.isConnected) {
+                        fontMatchedElements.delete(element);
+                        return;
+                    }
+                    elementsByInstance.set(instance, (elementsByInstance.get(instance) || []).concat(element));
+                });
+                elementsByInstance.forEach((matched, instance) => {
+                    instance.fontMetrics = null;
+                    instance.startFontMatching(matched);
+                });
+            };
+            document.fonts.addEventListener('loadingdone', fontLoadingListener);
+        }
+        
+        if (this.config.debug) {
+            console.log('Matched font sizes:', ratios);
+        }
+        
+        return ratios;
+    }
+
+    /**
+     * Match font sizes in the background (after wrapping, or when fonts load), reporting failures
+     * instead of leaving the promise rejected
+     */
+    startFontMatching(elements) {
+        this.matchFontSizes(elements).catch(error => {
+            console.warn('Multilingual: could not match font sizes', error);
+        });
+    }
+
+    /**
+     * Stop matching font sizes again in elements (and elements inside them) when more fonts load,
+     * removing the document.fonts listener once no elements are left
+     */
+    releaseFontMatching(elements) {
+        fontMatchedElements.forEach((instance, matched) => {
+            if (!matched.isConnected || elements.some(element => element === matched || element.contains(matched))) {
+                fontMatchedElements.delete(matched);
+            }
+        });
+        
+        if (fontLoadingListener && !fontMatchedElements.size) {
+            document.fonts.removeEventListener('loadingdone', fontLoadingListener);
+            fontLoadingListener = null;
+        }
+    }
+
+    /**
+     * Collect the text of elements as it was before wrapping, one entry per original text node
+     * Runs of wrapped spans and the whitespace between them are joined back together, whether they
+     * were wrapped in this session or pre-rendered
+     * @returns {Array<{text: string, element: HTMLElement}>}
+     */
+    collectSourceTexts(element) {
+        if (element.tagName && this.config.skipElements.includes(element.tagName.toLowerCase())) {
+            return [];
+        }
+        
+        const isWrapped = node => node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-script');
+        const isRunPart = node => node.nodeType === Node.TEXT_NODE || isWrapped(node);
+        const visited = new Set();
+        const texts = [];
+        
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let textNode;
+        while (textNode = walker.nextNode()) {
+            // Within a wrapped span, the span is the unit of the run
+            const wrapper = textNode.parentElement && textNode.parentElement.closest('[data-script]');
+            const node = wrapper && element.contains(wrapper) && wrapper !== element ? wrapper : textNode;
+            if (!this.shouldProcessTextNode(node)) continue;
+            
+            let first = node;
+            while (first.previousSibling && isRunPart(first.previousSibling)) {
+                first = first.previousSibling;
+            }
+            if (visited.has(first)) continue;
+            visited.add(first);
+            
+            let text = '';
+            for (let part = first; part && isRunPart(part); part = part.nextSibling) {
+                text += part.textContent;
+            }
+            if (text.trim()) {
+                texts.push({ text, element: node.parentElement });
+            }
+        }
+        
+        return texts;
+    }
+
+    /**
+     * Report how the text in elements is segmented, without changing it
+     * @param {string|HTMLElement|HTMLElement[]} selector - CSS selector, DOM element, or array of elements
+     * @param {Object} options
+     * @param {boolean} options.overlay - Also outline each wrapped span in a color for its script (see showOverlay())
+     * @returns {Object} - characters and segments (counts per script), mixedScriptWords, unmatchedPunctuation,
+     *   and fallbackNodes (text with characters no registered script covers)
+     */
+    analyze(selector, options = {}) {
+        const elements = this.resolveElements(selector);
+        const report = {
+            characters: {},
+            segments: {},
+            mixedScriptWords: [],
+            unmatchedPunctuation: [],
+            fallbackNodes: []
+        };
+        
+        elements.forEach(root => this.collectSourceTexts(root).forEach(({ text, element }) => {
+            const segmentation = {};
+            const segments = this.segmentText(text, { ...this.getDeclaredContext(element), report: segmentation });
+            
+            // Script of each character, for finding words that cross a script boundary
+            const characters = [];
+            const fallback = [];
+            segments.forEach(segment => {
+                report.segments[segment.script] = (report.segments[segment.script] || 0) + 1;
+                
+                this.splitCharacters(segment.text).forEach(char => {
+                    characters.push({ char, script: segment.script });
+                    if (/^\s/u.test(char)) return;
+                    
+                    report.characters[segment.script] = (report.characters[segment.script] || 0) + 1;
+                    if (!this.scripts[segment.script] && segment.script !== 'numeric') {
+                        fallback.push(char);
+                    }
+                });
+            });
+            
+            characters.map(({ char }) => char).join('').split(/(\s+)/).reduce((start, word) => {
+                const length = this.splitCharacters(word).length;
+                const scripts = new Set(characters.slice(start, start + length)
+                    .filter(({ char }) => /\p{L}/u.test(char))
+                    .map(({ script }) => script));
+                if (scripts.size > 1) {
+                    report.mixedScriptWords.push({ word, scripts: Array.from(scripts), element });
+                }
+                return start + length;
+            }, 0);
+            
+            segmentation.unmatched.forEach(({ char, offset }) => {
+                report.unmatchedPunctuation.push({
+                    char,
+                    context: text.slice(Math.max(0, offset - 20), offset + 20).trim(),
+                    element
+                });
+            });
+            
+            if (fallback.length) {
+                report.fallbackNodes.push({ element, text, characters: Array.from(new Set(fallback)) });
+            }
+        }));
+        
+        if (options.overlay) {
+            report.colors = this.showOverlay(elements);
+        }
+        
+        if (this.config.debug) {
+            console.table(report.characters);
+        }
+        
+        return report;
+    }
+
+    /**
+     * Outline every wrapped span in elements with a color per script, for visual QA
+     * The outlines come from a single style element, so the spans themselves are not changed
+     * @param {string|HTMLElement|HTMLElement[]} selector - CSS selector, DOM element, or array of elements
+     * @returns {Object} - Outline color for each script
+     */
+    showOverlay(selector) {
+        const elements = this.resolveElements(selector);
+        const scripts = [...Object.keys(this.scripts), 'numeric', 'common', 'unknown'];
+        const colors = {};
+        
+        // Spread hues by the golden angle so neighbouring scripts in the registry contrast
+        scripts.forEach((script, index) => {
+            colors[script] = `hsl(${Math.round(index * 137.5) % 360}, 80%, 45%)`;
+        });
+        
+        const rules = scope => scripts.map(script =>
+            `${scope}[data-script="${script}"] { outline: 1px solid ${colors[script]}; outline-offset: -1px; }`
+        ).join('\n');
+        
+        let style = document.getElementById('ml-overlay-style');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'ml-overlay-style';
+            document.head.appendChild(style);
+        }
+        style.textContent = rules('[data-ml-overlay] ');
+        
+        elements.forEach(element => {
+            if (element.nodeType === Node.ELEMENT_NODE) {
+                element.setAttribute('data-ml-overlay', '');
+            } else if (element.host && !overlayShadowStyles.has(element)) {
+                // Document styles don't reach into shadow roots, so each gets its own
+                const shadowStyle = document.createElement('style');
+                shadowStyle.textContent = rules('');
+                element.appendChild(shadowStyle);
+                overlayShadowStyles.set(element, shadowStyle);
+            }
+        });
+        
+        return colors;
+    }
+
+    /**
+     * Remove the outlines added by showOverlay()
+     */
+    hideOverlay() {
+        const style = document.getElementById('ml-overlay-style');
+        if (style) {
+            style.remove();
+        }
+        document.querySelectorAll('[data-ml-overlay]').forEach(element => element.removeAttribute('data-ml-overlay'));
+        
+        overlayShadowStyles.forEach(shadowStyle => shadowStyle.remove());
+        overlayShadowStyles.clear();
+    }
+
+    /**
+     * Escape text for HTML content or double-quoted attribute values
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\u00A0/g, '&nbsp;');
+    }
+
+    /**
+     * Register a plugin for all instances created afterwards
+     * A plugin is an object with any of:
+     *   scripts                              - Script registry additions, as in config.scripts
+     *   beforeSegment(text, node)            - Return replacement text, or false to leave the text unwrapped
+     *   afterSegment(segments, node)         - Return replacement segments, or nothing to keep them
+     *   renderSegment(segment, attributes, doc) - Return a node to insert instead of the default span
+     * Hooks run in registration order with the instance as this; node is null when pre-rendering
+     * @param {Object} plugin
+     * @returns {Multilingual} - Returns the Multilingual class for chaining
+     */
+    static use(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('Multilingual.use: a plugin must be an object');
+        }
+        
+        if (!registeredPlugins.includes(plugin)) {
+            registeredPlugins.push(plugin);
+        }
+        
+        return Multilingual;
+    }
+
     /**
      * Initialize the Multilingual library with configuration
      * @param {Object} config - Configuration options
@@ -523,7 +2343,7 @@ class Multilingual {
 
     /**
      * Wrap text in specified elements with configuration
-     * @param {string|HTMLElement} selector - CSS selector or element
+     * @param {string|Node|NodeList|Array} selector - CSS selector, DOM node, or list of nodes
      * @param {Object} config - Optional configuration override
      * @returns {number} - Number of elements processed
      */
@@ -531,14 +2351,104 @@ class Multilingual {
         const multilingual = new Multilingual(config);
         return multilingual.wrap(selector);
     }
+
+    /**
+     * Wrap text in specified elements and keep wrapping content added later
+     * @param {string|HTMLElement} selector - CSS selector or element
+     * @param {Object} config - Optional configuration override
+     * @returns {Multilingual} - The observing instance; call disconnect() on it to stop
+     */
+    static observe(selector, config = {}) {
+        const multilingual = new Multilingual({ ...config, observe: true });
+        multilingual.wrap(selector);
+        return multilingual;
+    }
+
+    /**
+     * Restore the original text in specified elements
+     * @param {string|HTMLElement} selector - CSS selector or element
+     * @returns {number} - Number of elements processed
+     */
+    static unwrap(selector) {
+        const multilingual = new Multilingual();
+        return multilingual.unwrap(selector);
+    }
+
+    /**
+     * Unwrap specified elements and wrap them again with a new configuration
+     * @param {string|HTMLElement} selector - CSS selector or element
+     * @param {Object} config - Optional configuration override
+     * @returns {number} - Number of elements processed
+     */
+    static rewrap(selector, config = {}) {
+        const multilingual = new Multilingual(config);
+        const elements = multilingual.resolveElements(selector);
+        
+        // Hand observation of these elements over to the new configuration
+        let wasObserving = false;
+        observingInstances.forEach(instance => {
+            if (instance.isObserving(elements)) {
+                instance.disconnect();
+                wasObserving = true;
+            }
+        });
+        if (wasObserving && config.observe === undefined) {
+            multilingual.config.observe = true;
+        }
+        
+        return multilingual.rewrap(elements);
+    }
+
+    /**
+     * Match the size of each script to the surrounding text in specified elements
+     * @param {string|HTMLElement} selector - CSS selector or element
+     * @param {Object} config - Optional configuration override (see fontMatching)
+     * @returns {Promise<Object>} - Size ratios applied
+     */
+    static matchFontSizes(selector, config = {}) {
+        const multilingual = new Multilingual(config);
+        return multilingual.matchFontSizes(selector);
+    }
+
+    /**
+     * Report script statistics and likely segmentation problems in specified elements
+     * @param {string|HTMLElement} selector - CSS selector or element
+     * @param {Object} options - { overlay: true } also outlines each wrapped span by script
+     * @returns {Object} - See analyze()
+     */
+    static analyze(selector, options = {}) {
+        const multilingual = new Multilingual();
+        return multilingual.analyze(selector, options);
+    }
+
+    /**
+     * Remove the script outlines added by Multilingual.analyze(selector, { overlay: true })
+     */
+    static hideOverlay() {
+        const multilingual = new Multilingual();
+        multilingual.hideOverlay();
+    }
+
+    /**
+     * Stop all observers started by observe mode (including autoWrap with observe: true)
+     */
+    static disconnect() {
+        observingInstances.forEach(instance => instance.disconnect());
+    }
 }
 
 // No automatic initialization - library must be explicitly initialized
 
-// Make Multilingual globally available
-window.Multilingual = Multilingual;
+// Module exports (scripts/build.js replaces everything from here for the ES module and UMD builds)
+if (typeof module !== 'undefined' && module.exports) {
+    // CommonJS, e.g. build-time use in Node (see scripts/prerender.js), without globals
+    module.exports = Multilingual;
+} else if (typeof window !== 'undefined') {
+    // Make Multilingual globally available
+    window.Multilingual = Multilingual;
 
-// Convenience function (kept for backward compatibility)
-window.wrapMultilingualText = function(selector, config = {}) {
-    return Multilingual.wrap(selector, config);
-};
+    // Convenience function (kept for backward compatibility)
+    window.wrapMultilingualText = function(selector, config = {}) {
+        return Multilingual.wrap(selector, config);
+    };
+}
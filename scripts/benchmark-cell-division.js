@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * benchmark-cell-division.js
+ * Measures the CPU time the cell-division overlay costs in jsdom, comparing CellDivision with
+ * the loop main.js used before it (every-frame updates, .pie-path queried each frame, cells
+ * rebuilt from innerHTML on every division and resize event)
+ *
+ * Usage: node scripts/benchmark-cell-division.js [--seconds 3] [--duration 1000]
+ * Each scenario runs for --seconds with cells dividing every --duration milliseconds, so that
+ * divisions are part of the measurement. Needs jsdom (npm install --no-save jsdom).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let JSDOM;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    console.error('The benchmark needs jsdom: npm install --no-save jsdom');
+    process.exit(1);
+}
+
+const LIBRARY = fs.readFileSync(path.join(__dirname, '../assets/js/cell-division.js'), 'utf8');
+
+// Divisions to cycle through (the phone sequence, the most cells the site draws)
+const SEQUENCE = [4, 8, 16];
+
+/**
+ * Parse --name value options
+ */
+function parseArguments(argv) {
+    const options = { seconds: 3, duration: 1000 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--seconds' || argv[i] === '--duration') {
+            options[argv[i].slice(2)] = parseFloat(argv[++i]);
+        }
+    }
+    return options;
+}
+
+/**
+ * The animation loop main.js ran before CellDivision, reduced to one sequence
+ */
+function startPrevious(window, overlay, duration) {
+    const document = window.document;
+    let index = 0;
+    let cycleStartTime = Date.now();
+    let running = true;
+
+    function createPiePath(angle) {
+        const radians = (angle - 90) * Math.PI / 180;
+        const endX = 500 + 499.5 * Math.cos(radians);
+        const endY = 500 + 499.5 * Math.sin(radians);
+        return `M 500 500 L 500 0.5 A 499.5 499.5 0 ${angle > 180 ? 1 : 0} 1 ${endX} ${endY} Z`;
+    }
+
+    function updateSVGs() {
+        let svgHTML = '';
+        for (let i = 0; i < SEQUENCE[index]; i++) {
+            svgHTML += `
+                <svg class="cell-svg" style="width: 100%; height: ${100 / SEQUENCE[index]}%; float: none;"
+                     viewBox="0 0 1000 1000" preserveAspectRatio="none" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <circle cx="500" cy="500" r="499.5" stroke="black" stroke-width="0.75" fill="transparent" vector-effect="non-scaling-stroke"/>
+                    <path class="pie-path" d="${createPiePath(0)}" fill="transparent" stroke="black" stroke-width="0.75" vector-effect="non-scaling-stroke" />
+                </svg>
+            `;
+        }
+        overlay.innerHTML = svgHTML;
+        cycleStartTime = Date.now();
+    }
+
+    function animateCells() {
+        if (!running) return;
+
+        const elapsed = Date.now() - cycleStartTime;
+        const angle = (elapsed % duration) / duration * 360;
+        document.querySelectorAll('.pie-path').forEach(piePath => {
+            piePath.setAttribute('d', createPiePath(angle));
+        });
+
+        if (elapsed >= duration) {
+            index = (index + 1) % SEQUENCE.length;
+            updateSVGs();
+        }
+
+        window.requestAnimationFrame(animateCells);
+    }
+
+    window.addEventListener('resize', updateSVGs);
+    updateSVGs();
+    animateCells();
+
+    return () => {
+        running = false;
+    };
+}
+
+/**
+ * Start CellDivision with the same sequence
+ */
+function startCellDivision(window, overlay, duration) {
+    const cellDivision = new window.CellDivision(overlay, {
+        sequences: { portrait: SEQUENCE },
+        breakpoints: { portrait: 'all' },
+        duration
+    }).start();
+
+    return () => cellDivision.destroy();
+}
+
+/**
+ * Create a window with the overlay, reporting it offscreen if asked
+ * (jsdom has no layout, so IntersectionObserver and matchMedia are provided here)
+ */
+function createWindow(offscreen) {
+    const dom = new JSDOM(
+        '<!DOCTYPE html><body><div class="overlay"></div></body>',
+        { runScripts: 'outside-only', pretendToBeVisual: true }
+    );
+    const window = dom.window;
+
+    window.matchMedia = query => ({ matches: query === 'all' });
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+        }
+        observe(element) {
+            window.setTimeout(() => this.callback([{ target: element, isIntersecting: !offscreen }]));
+        }
+        disconnect() {}
+    };
+
+    window.eval(LIBRARY);
+    return window;
+}
+
+/**
+ * Run one implementation in one scenario
+ * @returns {Promise<number>} - CPU milliseconds used
+ */
+function measure(start, scenario, options) {
+    const window = createWindow(scenario === 'offscreen');
+    const overlay = window.document.querySelector('.overlay');
+
+    return new Promise(resolve => {
+        const cpu = process.cpuUsage();
+        const stop = start(window, overlay, options.duration);
+
+        // Resizing a window fires resize events every frame
+        let resizer = null;
+        if (scenario === 'resizing') {
+            resizer = setInterval(() => window.dispatchEvent(new window.Event('resize')), 16);
+        }
+
+        setTimeout(() => {
+            clearInterval(resizer);
+            stop();
+            const used = process.cpuUsage(cpu);
+            window.close();
+            resolve((used.user + used.system) / 1000);
+        }, options.seconds * 1000);
+    });
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const implementations = { 'previous main.js loop': startPrevious, 'CellDivision': startCellDivision };
+
+    console.log(`${options.seconds} s per scenario, dividing every ${options.duration} ms (${SEQUENCE.join(' → ')} cells)\n`);
+    console.log(`${''.padEnd(24)} ${'visible'.padStart(10)} ${'resizing'.padStart(10)} ${'offscreen'.padStart(10)}`);
+
+    for (const [name, start] of Object.entries(implementations)) {
+        const results = [];
+        for (const scenario of ['visible', 'resizing', 'offscreen']) {
+            results.push(await measure(start, scenario, options));
+        }
+        console.log(`${name.padEnd(24)} ${results.map(time => `${time.toFixed(0)} ms`.padStart(10)).join(' ')}`);
+    }
+
+    console.log('\nCPU time, including jsdom\'s own frame timer');
+}
+
+main();
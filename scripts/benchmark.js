@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * benchmark.js
+ * Measures how fast Multilingual wraps a long document in jsdom: the library as it was at an
+ * earlier revision, then the current one with and without the performance options
+ * (segment cache, chunked idle-time processing)
+ *
+ * Usage: node scripts/benchmark.js [input.html] [--repeat 20] [--runs 3] [--baseline <git revision>]
+ * Builds a long page from <body> of the input (index.html by default) repeated --repeat times,
+ * and reports the best of --runs for each configuration. The baseline is read from git
+ * (default: the repository's first commit). Needs jsdom, a devDependency (npm install).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+let JSDOM;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (error) {
+    console.error('The benchmark needs jsdom: run npm install first');
+    process.exit(1);
+}
+
+const ROOT = path.join(__dirname, '..');
+const LIBRARY_PATH = 'assets/js/multilingual.js';
+const LIBRARY = fs.readFileSync(path.join(ROOT, LIBRARY_PATH), 'utf8');
+
+// Configurations of the current library to compare, from synchronous without a cache to the redesigned one
+const CONFIGURATIONS = {
+    'synchronous, no cache': { segmentCacheSize: 0 },
+    'synchronous, cache': {},
+    'chunked, cache': { chunking: { enabled: true } }
+};
+
+/**
+ * Read the library as it was at a git revision
+ */
+function readBaseline(revision) {
+    const git = (...args) => execFileSync('git', args, { cwd: ROOT, encoding: 'utf8' });
+    const commit = revision || git('rev-list', '--max-parents=0', 'HEAD').trim().split('\n')[0];
+    return { commit: git('rev-parse', '--short', commit).trim(), library: git('show', `${commit}:${LIBRARY_PATH}`) };
+}
+
+/**
+ * Parse --name value options after the positional arguments
+ */
+function parseArguments(argv) {
+    const options = { input: 'index.html', repeat: 20, runs: 3, baseline: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--repeat' || argv[i] === '--runs') {
+            options[argv[i].slice(2)] = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--baseline') {
+            options.baseline = argv[++i];
+        } else {
+            options.input = argv[i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Create a window with a library loaded and a long page, timing every setTimeout callback
+ * (the library's fallback when requestIdleCallback is missing, as in jsdom)
+ */
+function createWindow(body, library) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { runScripts: 'outside-only', pretendToBeVisual: true });
+    const window = dom.window;
+    const slices = [];
+
+    const setTimeout = window.setTimeout.bind(window);
+    window.setTimeout = (callback, delay, ...args) => setTimeout(() => {
+        const start = window.performance.now();
+        callback(...args);
+        slices.push(window.performance.now() - start);
+    }, delay);
+
+    window.eval(library);
+    return { window, slices };
+}
+
+/**
+ * Wrap the whole page once with a library and configuration
+ * (only chunked wrapping finishes after wrap() returns, when multilingual:wrapped fires)
+ * @returns {Promise<{time: number, longest: number}>} - Total milliseconds, and the longest uninterrupted
+ *   stretch of work
+ */
+function run(body, library, config) {
+    const { window, slices } = createWindow(body, library);
+
+    return new Promise(resolve => {
+        const start = window.performance.now();
+        const finish = () => {
+            const time = window.performance.now() - start;
+            resolve({ time, longest: config.chunking ? Math.max(...slices) : time });
+            window.close();
+        };
+
+        if (config.chunking) {
+            window.document.body.addEventListener('multilingual:wrapped', finish, { once: true });
+        }
+        window.Multilingual.wrap('body', config);
+        if (!config.chunking) {
+            finish();
+        }
+    });
+}
+
+/**
+ * Count the text nodes the current library wraps on the page
+ */
+function countTextNodes(body) {
+    const { window } = createWindow(body, LIBRARY);
+    const nodes = new window.Multilingual().collectTextNodes(window.document.body).length;
+    window.close();
+    return nodes;
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const html = fs.readFileSync(options.input, 'utf8');
+    const match = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    const body = (match ? match[1] : html)
+        .replace(/<script[\s\S]*?<\/script>/gi, '')
+        .repeat(options.repeat);
+
+    const baseline = readBaseline(options.baseline);
+    const nodes = countTextNodes(body);
+    const runs = [[`baseline (${baseline.commit})`, baseline.library, {}]].concat(
+        Object.entries(CONFIGURATIONS).map(([name, config]) => [name, LIBRARY, config])
+    );
+
+    console.log(`${options.input} × ${options.repeat}, best of ${options.runs} runs\n`);
+
+    for (const [name, library, config] of runs) {
+        let best = null;
+        for (let i = 0; i < options.runs; i++) {
+            const result = await run(body, library, config);
+            if (!best || result.time < best.time) best = result;
+        }
+
+        const rate = Math.round(nodes / (best.time / 1000));
+        console.log(
+            `${name.padEnd(24)} ${String(nodes).padStart(6)} nodes  ` +
+            `${best.time.toFixed(0).padStart(6)} ms  ${String(rate).padStart(7)} nodes/s  ` +
+            `longest task ${best.longest.toFixed(1)} ms`
+        );
+    }
+}
+
+main();
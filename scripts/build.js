@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * build.js
+ * Builds importable copies of multilingual.js for use outside this site
+ *
+ * Usage: node scripts/build.js [output directory] (npm run build)
+ * Writes to dist/ by default:
+ *   multilingual.mjs     ES module (export default / named Multilingual), no globals
+ *   multilingual.umd.js  UMD: AMD or CommonJS export, or window.Multilingual as a classic script
+ *   multilingual.d.mts   Type declarations for the ES module (assets/js/multilingual.d.ts as it is)
+ *   multilingual.d.ts    Type declarations for the UMD bundle (export = Multilingual)
+ * The site itself keeps loading assets/js/multilingual.js directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '../assets/js/multilingual.js');
+const TYPES = path.join(__dirname, '../assets/js/multilingual.d.ts');
+
+// Everything from this line on is the classic-script export, replaced in each build
+const EXPORTS_MARKER = '// Module exports';
+
+/**
+ * Read the library without its export code
+ */
+function readLibrary() {
+    const source = fs.readFileSync(SOURCE, 'utf8');
+    const index = source.indexOf(EXPORTS_MARKER);
+    if (index === -1) {
+        throw new Error(`build.js: "${EXPORTS_MARKER}" not found in ${SOURCE}`);
+    }
+    return source.slice(0, index).trimEnd();
+}
+
+/**
+ * Build the ES module
+ */
+function buildESM(library) {
+    return `${library}
+
+export { Multilingual };
+export default Multilingual;
+`;
+}
+
+/**
+ * Build the UMD bundle; the factory keeps the library's top-level declarations out of the global scope
+ */
+function buildUMD(library) {
+    // Not re-indented, so multi-line strings in the library stay as they are
+    return `(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Multilingual = factory();
+
+        // Convenience function (kept for backward compatibility)
+        root.wrapMultilingualText = function(selector, config = {}) {
+            return root.Multilingual.wrap(selector, config);
+        };
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+${library}
+
+    return Multilingual;
+}));
+`;
+}
+
+/**
+ * Turn the ES module declarations into CommonJS ones matching module.exports = Multilingual:
+ * the exported types move into a namespace merged with the class
+ */
+function buildCommonJSTypes(types) {
+    const names = Array.from(types.matchAll(/^export (?:type|interface) (\w+)/gm), match => match[1]);
+    const exports = 'export { Multilingual };\nexport default Multilingual;\n';
+    if (!types.endsWith(exports)) {
+        throw new Error(`build.js: ${TYPES} should end with "${exports.trim()}"`);
+    }
+
+    return `${types.slice(0, -exports.length).replace(/^export (type|interface) /gm, '$1 ')}declare namespace Multilingual {
+    export { ${names.join(', ')} };
+}
+
+export = Multilingual;
+`;
+}
+
+function build(outputDirectory) {
+    const library = readLibrary();
+    const banner = '// Generated by scripts/build.js from assets/js/multilingual.js - do not edit\n';
+
+    fs.mkdirSync(outputDirectory, { recursive: true });
+    fs.writeFileSync(path.join(outputDirectory, 'multilingual.mjs'), banner + buildESM(library));
+    fs.writeFileSync(path.join(outputDirectory, 'multilingual.umd.js'), banner + buildUMD(library));
+    const types = fs.readFileSync(TYPES, 'utf8');
+    fs.writeFileSync(path.join(outputDirectory, 'multilingual.d.mts'), types);
+    fs.writeFileSync(path.join(outputDirectory, 'multilingual.d.ts'), buildCommonJSTypes(types));
+}
+
+if (require.main === module) {
+    const output = process.argv[2] || path.join(__dirname, '../dist');
+    build(output);
+    console.log(`Built multilingual.mjs, multilingual.umd.js and their type declarations in ${path.relative(process.cwd(), output) || '.'}`);
+}
+
+module.exports = { build };
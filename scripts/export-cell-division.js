@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * export-cell-division.js
+ * Renders the cell-division overlay to files for posters and social posts
+ *
+ * Usage: node scripts/export-cell-division.js [output directory] [options]
+ *   --format svg|png|animated  Still SVG or PNG, or one animated SVG of a full sequence (default svg)
+ *   --time <date>              Moment to render, e.g. 2026-10-19T09:00:00+09:00 (default now)
+ *   --fps <n>                  Write every frame of the sequence at that moment, n per second of animation
+ *   --layout <name>            landscape, portrait or mobile (default landscape)
+ *   --width <px> --height <px> Size (default 1920 × 1080)
+ *   --background <color>      Fill color (default transparent)
+ * Follows the KST clock like the site (see main.js). PNGs need the canvas package, an optional dependency
+ * that npm install adds where it builds (it needs Cairo where no prebuilt binary exists).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CellDivision = require('../assets/js/cell-division.js');
+
+// As main.js sets up the overlay
+const OPTIONS = { duration: 30000, clock: 'Asia/Seoul' };
+
+/**
+ * Parse the output directory and --name value options
+ */
+function parseArguments(argv) {
+    const options = { output: '.', format: 'svg', width: 1920, height: 1080 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[++i];
+        } else {
+            options.output = argv[i];
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const cellDivision = new CellDivision(null, OPTIONS);
+    const render = {
+        layout: options.layout,
+        width: parseInt(options.width, 10),
+        height: parseInt(options.height, 10),
+        background: options.background || null,
+        time: options.time ? Date.parse(options.time) : Date.now()
+    };
+
+    if (Number.isNaN(render.time)) {
+        throw new Error(`Cannot read --time "${options.time}"`);
+    }
+    if (!['svg', 'png', 'animated'].includes(options.format)) {
+        throw new Error(`Unknown --format "${options.format}" (use svg, png or animated)`);
+    }
+
+    fs.mkdirSync(options.output, { recursive: true });
+    const written = [];
+    function write(name, data) {
+        fs.writeFileSync(path.join(options.output, name), data);
+        written.push(name);
+    }
+
+    if (options.format === 'animated') {
+        write('cell-division.svg', cellDivision.toAnimatedSVG(render));
+    } else if (options.fps) {
+        const frames = await cellDivision.toFrames({ ...render, fps: parseFloat(options.fps), format: options.format });
+        const digits = String(frames.length).length;
+        frames.forEach(({ frame }, index) => {
+            write(`cell-division-${String(index + 1).padStart(digits, '0')}.${options.format}`, frame);
+        });
+    } else if (options.format === 'png') {
+        write('cell-division.png', await cellDivision.toPNG(render));
+    } else {
+        write('cell-division.svg', cellDivision.toSVG(render));
+    }
+
+    const list = written.length > 3 ? `${written[0]} … ${written[written.length - 1]}` : written.join(', ');
+    console.log(`Wrote ${written.length} file${written.length === 1 ? '' : 's'} to ${options.output}: ${list}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
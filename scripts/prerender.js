@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * prerender.js
+ * Wraps multilingual text in static HTML at build time, so the page ships already
+ * segmented and script-specific font rules apply from the first paint
+ *
+ * Usage: node scripts/prerender.js <input.html> [output.html]
+ * Applies the same configuration main.js passes to Multilingual.init (assets/js/multilingual.config.js)
+ * and writes to stdout when no output file is given.
+ */
+
+const fs = require('fs');
+const Multilingual = require('../assets/js/multilingual.js');
+const MULTILINGUAL_CONFIG = require('../assets/js/multilingual.config.js');
+
+// Elements whose content is not markup and is copied verbatim
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Elements that cannot contain HTML spans
+const FOREIGN_ELEMENTS = ['svg', 'math'];
+
+// Elements without a closing tag
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// Named character references we can decode; text with any other named reference is left as-is
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: '\u00A0'
+};
+
+/**
+ * Decode character references in HTML text
+ * @returns {string|null} - Decoded text, or null if it contains an unknown named reference
+ *   or a numeric one that is not a Unicode scalar value (beyond U+10FFFF, or a surrogate)
+ */
+function decodeEntities(text) {
+    let unknown = false;
+    const decoded = text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (reference, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            if (codePoint <= 0x10FFFF && (codePoint < 0xD800 || codePoint > 0xDFFF)) {
+                return String.fromCodePoint(codePoint);
+            }
+        } else if (Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)) {
+            return NAMED_ENTITIES[name];
+        }
+        unknown = true;
+        return reference;
+    });
+    return unknown ? null : decoded;
+}
+
+/**
+ * Parse the attribute part of a start tag into a name → value map
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1].toLowerCase()] = value === undefined ? '' : value;
+    }
+    return attributes;
+}
+
+/**
+ * Check a start tag against a simple selector (tag name, #id or .class)
+ */
+function matchesSelector(selector, tagName, attributes) {
+    if (selector.startsWith('#')) {
+        return attributes.id === selector.slice(1);
+    }
+    if (selector.startsWith('.')) {
+        return (attributes.class || '').split(/\s+/).includes(selector.slice(1));
+    }
+    return tagName === selector.toLowerCase();
+}
+
+/**
+ * Wrap multilingual text in an HTML document
+ * @param {string} html - Source HTML
+ * @param {Object} config - Multilingual configuration
+ * @returns {string} - HTML with text segments wrapped in spans
+ */
+function prerender(html, config = MULTILINGUAL_CONFIG) {
+    const multilingual = new Multilingual(config);
+    const selector = multilingual.config.autoWrapSelector || 'body';
+    const skipElements = multilingual.config.skipElements;
+
+    if (!/^[#.]?[\w-]+$/.test(selector)) {
+        throw new Error(`Unsupported autoWrapSelector "${selector}" (use a tag name, #id or .class)`);
+    }
+
+    // Open elements, with whether they are inside the wrap target, whether text in them is skipped
+    // (including data-ml markers), and the language, script and direction declared for them
+    const stack = [];
+
+    function processText(raw) {
+        const current = stack[stack.length - 1];
+        if (!current || !current.target || current.skip || !raw.trim()) {
+            return raw;
+        }
+
+        const text = decodeEntities(raw);
+        if (text === null) {
+            return raw;
+        }
+
+        // Only replace the text if the segments reproduce it exactly
+        const segments = multilingual.segmentText(text, { lang: current.lang, script: current.script, dir: current.dir });
+        if (!segments.length || segments.map(segment => segment.text).join('') !== text) {
+            return raw;
+        }
+
+        return multilingual.wrapSegmentsHTML(segments);
+    }
+
+    const pattern = /<!--[\s\S]*?-->|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    const lowerHTML = html.toLowerCase();
+    let output = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        output += processText(html.slice(lastIndex, match.index)) + match[0];
+        lastIndex = pattern.lastIndex;
+
+        // Comments and doctypes
+        if (!match[1]) continue;
+
+        const tagName = match[1].toLowerCase();
+
+        if (match[0][1] === '/') {
+            // Close the innermost matching element (and anything left open inside it)
+            const index = stack.map(element => element.tagName).lastIndexOf(tagName);
+            if (index !== -1) {
+                stack.length = index;
+            }
+            continue;
+        }
+
+        if (RAW_TEXT_ELEMENTS.includes(tagName)) {
+            // Copy the content verbatim; the closing tag is handled as a regular token
+            const close = lowerHTML.indexOf(`</${tagName}`, lastIndex);
+            const end = close === -1 ? html.length : close;
+            output += html.slice(lastIndex, end);
+            lastIndex = pattern.lastIndex = end;
+            continue;
+        }
+
+        if (VOID_ELEMENTS.includes(tagName) || /\/\s*$/.test(match[2])) continue;
+
+        const attributes = parseAttributes(match[2]);
+        const parent = stack[stack.length - 1];
+        const inherited = parent || { target: false, skip: false, foreign: false, lang: null, script: null, dir: null };
+
+        // The nearest data-ml marker decides whether text is wrapped, as in the browser
+        let skip = inherited.skip;
+        if (attributes['data-ml'] === 'skip') skip = true;
+        if (attributes['data-ml'] === 'wrap') skip = false;
+
+        // Script for neutral text comes from the nearest data-ml-script or lang attribute
+        let script = inherited.script;
+        if (attributes['data-ml-script'] && multilingual.scripts[attributes['data-ml-script']]) {
+            script = attributes['data-ml-script'];
+        } else if (attributes.lang !== undefined) {
+            script = multilingual.scriptForLang(attributes.lang);
+        }
+
+        const foreign = inherited.foreign || FOREIGN_ELEMENTS.includes(tagName);
+        stack.push({
+            tagName,
+            target: inherited.target || matchesSelector(selector, tagName, attributes),
+            skip: skip || foreign || skipElements.includes(tagName) || 'data-script' in attributes,
+            foreign,
+            lang: attributes.lang !== undefined ? attributes.lang || null : inherited.lang,
+            script,
+            dir: attributes.dir ? attributes.dir.toLowerCase() : inherited.dir
+        });
+    }
+
+    return output + processText(html.slice(lastIndex));
+}
+
+if (require.main === module) {
+    const [input, output] = process.argv.slice(2);
+
+    if (!input) {
+        console.error('Usage: node scripts/prerender.js <input.html> [output.html]');
+        process.exit(1);
+    }
+
+    const result = prerender(fs.readFileSync(input, 'utf8'));
+
+    if (output) {
+        fs.writeFileSync(output, result);
+    } else {
+        process.stdout.write(result);
+    }
+}
+
+module.exports = { prerender };
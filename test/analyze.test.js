@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+test('counts characters and segments per script', () => {
+    const window = createWindow('<p>Hello 안녕하세요</p>');
+    const report = window.Multilingual.analyze('body');
+    assert.equal(report.characters.latin, 5);
+    assert.equal(report.characters.korean, 5);
+    assert.equal(report.segments.latin, 1);
+    assert.equal(report.segments.korean, 1);
+});
+
+test('reports words that mix scripts', () => {
+    const window = createWindow('<p>KAIST연구실 is here</p>');
+    const report = window.Multilingual.analyze('body');
+    assert.deepEqual(Array.from(report.mixedScriptWords, ({ word }) => word), ['KAIST연구실']);
+});
+
+test('handles text a plugin leaves unwrapped', () => {
+    const window = createWindow('<p>Hello (안녕</p>');
+    window.Multilingual.use({ beforeSegment: () => false });
+
+    const report = window.Multilingual.analyze('body');
+    assert.equal(report.unmatchedPunctuation.length, 0);
+    assert.deepEqual(Object.keys(report.segments), []);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { spawnSync } = require('child_process');
+const { build } = require('../scripts/build.js');
+
+// Built as an installed package would be, for the typings check below
+const project = fs.mkdtempSync(path.join(os.tmpdir(), 'multilingual-build-'));
+const packageDirectory = path.join(project, 'node_modules/@visual-instruments/multilingual');
+const output = path.join(packageDirectory, 'dist');
+build(output);
+fs.copyFileSync(path.join(__dirname, '../package.json'), path.join(packageDirectory, 'package.json'));
+
+test.after(() => fs.rmSync(project, { recursive: true, force: true }));
+
+test('writes the ES module, UMD bundle and type declarations', () => {
+    ['multilingual.mjs', 'multilingual.umd.js', 'multilingual.d.mts', 'multilingual.d.ts'].forEach(name => {
+        assert.ok(fs.existsSync(path.join(output, name)), name);
+    });
+});
+
+test('the UMD bundle exports the class through CommonJS without globals', () => {
+    const Multilingual = require(path.join(output, 'multilingual.umd.js'));
+    assert.equal(typeof Multilingual, 'function');
+    assert.equal(typeof globalThis.Multilingual, 'undefined');
+    assert.equal(new Multilingual().segmentText('Hello 안녕')[1].script, 'korean');
+});
+
+test('the ES module has default and named exports', async () => {
+    const module = await import(pathToFileURL(path.join(output, 'multilingual.mjs')).href);
+    assert.equal(module.default, module.Multilingual);
+    assert.equal(new module.default().detectScript('한'), 'korean');
+});
+
+test('the type declarations match the ES module and CommonJS exports', () => {
+    fs.writeFileSync(path.join(project, 'esm.mts'), `
+import Multilingual, { Multilingual as Named, type Segment } from '@visual-instruments/multilingual';
+const segments: Segment[] = new Multilingual().segmentText('Hello 안녕');
+const named: Multilingual = new Named();
+`);
+    fs.writeFileSync(path.join(project, 'cjs.cts'), `
+import Multilingual = require('@visual-instruments/multilingual');
+const segments: Multilingual.Segment[] = new Multilingual().segmentText('Hello 안녕');
+const config: Multilingual.MultilingualConfig = { lineBreaking: { units: ['km'] } };
+`);
+
+    const result = spawnSync(process.execPath, [
+        require.resolve('typescript/bin/tsc'),
+        '--noEmit', '--strict', '--module', 'node16', '--moduleResolution', 'node16', '--lib', 'es2020,dom',
+        'esm.mts', 'cjs.cts'
+    ], { cwd: project, encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const LIBRARY = fs.readFileSync(path.join(__dirname, '../assets/js/cell-division.js'), 'utf8');
+
+/**
+ * Create a window with an overlay and CellDivision loaded, matching the media queries in matching
+ */
+function createWindow(matching) {
+    const dom = new JSDOM('<!DOCTYPE html><body><div class="overlay"></div></body>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    window.matchMedia = query => ({ matches: matching.has(query) });
+    window.eval(LIBRARY);
+    return window;
+}
+
+test('with a clock, a layout change redraws the cells for the new layout at once', t => {
+    const matching = new Set(['all']);
+    const window = createWindow(matching);
+    const overlay = window.document.querySelector('.overlay');
+
+    // Ten seconds into the second cycle of a KST day (index 1 in every layout)
+    t.mock.method(Date, 'now', () => Date.parse('2026-10-19T00:00:40+09:00'));
+    window.Date.now = Date.now;
+
+    const cellDivision = new window.CellDivision(overlay, { clock: 'Asia/Seoul' }).start();
+    t.after(() => {
+        cellDivision.destroy();
+        window.close();
+    });
+
+    const sizes = () => Array.from(overlay.children, cell => `${cell.style.width} ${cell.style.height}`);
+    assert.deepEqual(sizes(), ['50% 100%', '50% 100%']);
+
+    matching.add('(orientation: portrait)');
+    cellDivision.updateLayout();
+    assert.equal(cellDivision.layout, 'portrait');
+    assert.deepEqual(sizes(), ['100% 25%', '100% 25%', '100% 25%', '100% 25%']);
+    assert.equal(Date.now() - cellDivision.cycleStart, 10000);
+});
+
+test('exported frames run from the first entry empty to the last entry full', async () => {
+    const CellDivision = require('../assets/js/cell-division.js');
+    const cellDivision = new CellDivision(null, { sequences: { landscape: [1, 2, 4] }, duration: 30000 });
+
+    const frames = await cellDivision.toFrames({ fps: 1, layout: 'landscape' });
+    assert.equal(frames.length, 91);
+    assert.equal(frames[0].time, 0);
+    assert.equal(frames[frames.length - 1].time, 89999);
+
+    const paths = frame => Array.from(frame.matchAll(/<path d="([^"]*)"/g), match => match[1]);
+    assert.deepEqual(paths(frames[0].frame), [CellDivision.createPiePath(0)]);
+    assert.deepEqual(paths(frames[frames.length - 1].frame), Array(4).fill(CellDivision.createPiePath(360)));
+});
+
+/**
+ * A 2D context that records the calls made on it, on a canvas of a size
+ */
+function createContext(width, height) {
+    const calls = [];
+    const context = { canvas: { width, height }, calls };
+    ['clearRect', 'fillRect', 'beginPath', 'moveTo', 'lineTo', 'ellipse', 'closePath', 'stroke'].forEach(name => {
+        context[name] = (...args) => calls.push([name, ...args]);
+    });
+    return context;
+}
+
+test('drawFrame draws each cell and its pie on a 2D context', () => {
+    const CellDivision = require('../assets/js/cell-division.js');
+    const cellDivision = new CellDivision(null, { sequences: { landscape: ['2x1'] }, duration: 1000 });
+    const context = createContext(200, 100);
+
+    // A quarter of the way through the cycle
+    cellDivision.drawFrame(context, { time: 250, layout: 'landscape', background: '#fff' });
+    assert.equal(context.fillStyle, '#fff');
+    assert.equal(context.strokeStyle, 'black');
+
+    const calls = context.calls.map(([name, ...args]) => [name, ...args.map(value => Math.round(value * 1000) / 1000)]);
+    assert.deepEqual(calls.slice(0, 2), [['clearRect', 0, 0, 200, 100], ['fillRect', 0, 0, 200, 100]]);
+
+    const ellipses = calls.filter(([name]) => name === 'ellipse');
+    const quarter = Math.round(Math.PI / 2 * 1000) / 1000;
+    assert.deepEqual(ellipses, [
+        ['ellipse', 50, 50, 49.95, 49.95, 0, 0, Math.round(Math.PI * 2 * 1000) / 1000],
+        ['ellipse', 50, 50, 49.95, 49.95, 0, -quarter, 0],
+        ['ellipse', 150, 50, 49.95, 49.95, 0, 0, Math.round(Math.PI * 2 * 1000) / 1000],
+        ['ellipse', 150, 50, 49.95, 49.95, 0, -quarter, 0]
+    ]);
+    assert.equal(calls.filter(([name]) => name === 'stroke').length, 4);
+});
+
+test('toPNG draws on the canvas it is given, at the requested size', async () => {
+    const CellDivision = require('../assets/js/cell-division.js');
+    const cellDivision = new CellDivision(null, { sequences: { landscape: [1] } });
+    const context = createContext(0, 0);
+    const canvas = {
+        getContext: type => (type === '2d' ? context : null),
+        toBuffer: type => Buffer.from(type)
+    };
+    context.canvas = canvas;
+
+    const png = await cellDivision.toPNG({ canvas, layout: 'landscape', width: 320, height: 240 });
+    assert.equal(png.toString(), 'image/png');
+    assert.deepEqual([canvas.width, canvas.height], [320, 240]);
+    assert.deepEqual(context.calls[0], ['clearRect', 0, 0, 320, 240]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+const { Multilingual } = createWindow();
+
+test('detects the script of letters', () => {
+    const multilingual = new Multilingual();
+    assert.equal(multilingual.detectScript('A'), 'latin');
+    assert.equal(multilingual.detectScript('한'), 'korean');
+    assert.equal(multilingual.detectScript('あ'), 'japanese');
+    assert.equal(multilingual.detectScript('カ'), 'japanese');
+    assert.equal(multilingual.detectScript('漢'), 'chinese');
+    assert.equal(multilingual.detectScript('ب'), 'arabic');
+    assert.equal(multilingual.detectScript('ж'), 'cyrillic');
+    assert.equal(multilingual.detectScript('λ'), 'greek');
+});
+
+test('treats digits and punctuation as common', () => {
+    const multilingual = new Multilingual();
+    assert.equal(multilingual.detectScript('1'), 'common');
+    assert.equal(multilingual.detectScript(' '), 'common');
+    assert.equal(multilingual.detectScript('('), 'common');
+});
+
+test('takes characters shared between scripts from their context', () => {
+    const multilingual = new Multilingual();
+    // The prolonged sound mark is both Hiragana and Katakana, so it is always Japanese
+    assert.equal(multilingual.detectScript('ー'), 'japanese');
+    // The ideographic full stop is shared by Han, kana and Hangul
+    assert.equal(multilingual.detectScript('。', 'korean'), 'korean');
+    assert.equal(multilingual.detectScript('。', 'japanese'), 'japanese');
+});
+
+test('detects a grapheme cluster by its first code point', () => {
+    const multilingual = new Multilingual();
+    assert.equal(multilingual.detectScript('é'), 'latin');
+});
+
+test('applies glyph overrides before the registry', () => {
+    const multilingual = new Multilingual({ glyphOverrides: { '()': 'latin' } });
+    assert.equal(multilingual.detectScript('('), 'latin');
+    assert.equal(multilingual.detectScript(')'), 'latin');
+});
+
+test('detects scripts added to the registry, and stops detecting removed ones', () => {
+    const multilingual = new Multilingual({
+        scripts: {
+            mongolian: { unicode: ['Mongolian'], lang: 'mn' },
+            greek: null
+        }
+    });
+    assert.equal(multilingual.detectScript('ᠮ'), 'mongolian');
+    assert.equal(multilingual.detectScript('λ'), 'unknown');
+});
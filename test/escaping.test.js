@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+// Text that must stay text: escaped markup, double escapes, quotes and non-breaking spaces, mixed with Hangul
+const HOSTILE_MARKUP = [
+    '&lt;img src=x onerror=alert(1)&gt; 안녕',
+    '&amp;amp; 그리고 &amp;lt;',
+    '&lt;script&gt;alert("한글")&lt;/script&gt;',
+    '"큰따옴표" and \'작은따옴표\' &amp; `backticks`',
+    'non&nbsp;breaking&nbsp;공백',
+    '&lt;/span&gt;&lt;span data-script="korean"&gt;닫기',
+    '<b title="&quot;한글&quot; &amp; <i>">속성</b> text'
+];
+
+HOSTILE_MARKUP.forEach(markup => {
+    test(`wrap and unwrap restore identical markup: ${markup}`, () => {
+        const window = createWindow(`<p>${markup}</p>`);
+        const paragraph = window.document.querySelector('p');
+        const original = paragraph.innerHTML;
+        const text = paragraph.textContent;
+
+        window.Multilingual.wrap('p');
+        assert.equal(paragraph.textContent, text);
+        assert.equal(paragraph.querySelectorAll('script, img, i').length, 0);
+
+        window.Multilingual.unwrap('p');
+        assert.equal(paragraph.innerHTML, original);
+    });
+
+    test(`wrapSegmentsHTML re-parses to the same text: ${markup}`, () => {
+        const window = createWindow(`<p>${markup}</p>`);
+        const text = window.document.querySelector('p').textContent;
+        const multilingual = new window.Multilingual();
+
+        const container = window.document.createElement('div');
+        container.innerHTML = multilingual.wrapSegmentsHTML(multilingual.segmentText(text));
+        assert.equal(container.textContent, text);
+        assert.equal(container.querySelectorAll('script, img, i, b').length, 0);
+        assert.equal(container.querySelectorAll('[data-script]').length, container.children.length);
+    });
+});
+
+test('escapeHTML escapes markup, quotes and non-breaking spaces', () => {
+    const { Multilingual } = createWindow();
+    assert.equal(
+        Multilingual.escapeHTML('<a href="x">&amp; </a>'),
+        '&lt;a href=&quot;x&quot;&gt;&amp;amp;&nbsp;&lt;/a&gt;'
+    );
+});
+
+test('attribute values are escaped in wrapSegmentsHTML', () => {
+    const { Multilingual } = createWindow();
+    const multilingual = new Multilingual({ cssClasses: { wrapper: 'a" onclick="alert(1)' } });
+    const html = multilingual.wrapSegmentsHTML([{ text: '한글', script: 'korean', lang: 'ko' }]);
+    assert.ok(html.includes('class="a&quot; onclick=&quot;alert(1)'));
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers.js');
+
+const STYLES = '<style>p, #host { font-family: Base } [data-script="korean"] { font-family: Hangul }</style>';
+
+/**
+ * Create a window with stand-ins for what jsdom lacks: document.fonts, counting its listeners,
+ * and a canvas whose x-heights come from xHeights (fractions of 100px by font family)
+ */
+function createFontWindow(body, xHeights = { Base: 0.5, Hangul: 0.45 }) {
+    const window = createWindow(STYLES + body);
+    const fonts = new window.EventTarget();
+    fonts.listeners = 0;
+    fonts.load = () => Promise.resolve([]);
+    fonts.ready = Promise.resolve(fonts);
+    const addEventListener = fonts.addEventListener.bind(fonts);
+    const removeEventListener = fonts.removeEventListener.bind(fonts);
+    fonts.addEventListener = (type, listener) => {
+        fonts.listeners++;
+        addEventListener(type, listener);
+    };
+    fonts.removeEventListener = (type, listener) => {
+        fonts.listeners--;
+        removeEventListener(type, listener);
+    };
+    window.document.fonts = fonts;
+
+    window.HTMLCanvasElement.prototype.getContext = () => ({
+        font: '',
+        measureText() {
+            const family = Object.keys(xHeights).find(name => this.font.endsWith(name));
+            return { actualBoundingBoxAscent: family ? xHeights[family] * 100 : 0 };
+        }
+    });
+    return { window, fonts, xHeights };
+}
+
+test('sizes spans so their x-height matches the surrounding text', async () => {
+    const { window } = createFontWindow('<p>Hello 안녕</p>');
+    window.Multilingual.wrap('p');
+
+    const ratios = await window.Multilingual.matchFontSizes('p');
+    assert.equal(window.document.querySelector('[data-script="korean"]').style.fontSize, '111.1%');
+    assert.equal(window.document.querySelector('[data-script="latin"]').style.fontSize, '');
+    assert.deepEqual(Object.keys(ratios), ['normal normal 100px Hangul → normal normal 100px Base']);
+});
+
+test('keeps ratios within minRatio and maxRatio', async () => {
+    const { window } = createFontWindow('<p>Hello 안녕</p>', { Base: 0.5, Hangul: 0.2 });
+    window.Multilingual.wrap('p');
+
+    await window.Multilingual.matchFontSizes('p', { fontMatching: { maxRatio: 1.2 } });
+    assert.equal(window.document.querySelector('[data-script="korean"]').style.fontSize, '120%');
+});
+
+test('matches spans directly inside a shadow root against the host', async () => {
+    const { window } = createFontWindow('<div id="host"></div>');
+    const shadowRoot = window.document.getElementById('host').attachShadow({ mode: 'open' });
+    shadowRoot.innerHTML = 'Hello 안녕';
+    window.Multilingual.wrap(shadowRoot);
+
+    const ratios = await window.Multilingual.matchFontSizes(shadowRoot);
+    assert.equal(Object.keys(ratios).length, 1);
+});
+
+test('matches again when fonts load, with one listener however often it is called', async () => {
+    const { window, fonts, xHeights } = createFontWindow('<p>Hello 안녕</p>');
+    window.Multilingual.wrap('p');
+
+    await window.Multilingual.matchFontSizes('p');
+    await window.Multilingual.matchFontSizes('p');
+    await window.Multilingual.matchFontSizes('p');
+    assert.equal(fonts.listeners, 1);
+
+    // The real Hangul face arrives with a larger x-height
+    xHeights.Hangul = 0.4;
+    fonts.dispatchEvent(new window.Event('loadingdone'));
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+    assert.equal(window.document.querySelector('[data-script="korean"]').style.fontSize, '125%');
+
+    window.Multilingual.unwrap('p');
+    assert.equal(fonts.listeners, 0);
+});
+
+test('wrap() reports font matching failures instead of leaving them unhandled', async t => {
+    const { window } = createFontWindow('<p>Hello 안녕</p>');
+    window.document.fonts.load = () => {
+        throw new Error('fonts unavailable');
+    };
+    const warn = t.mock.method(window.console, 'warn', () => {});
+
+    window.Multilingual.wrap('p', { fontMatching: { enabled: true } });
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+    assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,43 @@
+/**
+ * helpers.js
+ * Loads the classic-script build of multilingual.js into a jsdom window, as the site does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const LIBRARY = fs.readFileSync(path.join(__dirname, '../assets/js/multilingual.js'), 'utf8');
+
+/**
+ * Create a window with the library loaded
+ * @param {string} body - Markup for <body>
+ * @param {string} lang - lang attribute of <html>
+ * @param {Function} setup - Called with the window before the library loads (e.g. to provide CSS.supports)
+ * @returns {Window} - With window.Multilingual
+ */
+function createWindow(body = '', lang = 'en', setup = null) {
+    const dom = new JSDOM(
+        `<!DOCTYPE html><html lang="${lang}"><body>${body}</body></html>`,
+        { runScripts: 'outside-only', pretendToBeVisual: true }
+    );
+    if (setup) setup(dom.window);
+    dom.window.eval(LIBRARY);
+    return dom.window;
+}
+
+/**
+ * Copy a value from the window into this realm, so deepStrictEqual compares it by value
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Segments as [text, script] pairs, for compact assertions
+ */
+function summarize(segments) {
+    return Array.from(segments, segment => [segment.text, segment.script]);
+}
+
+module.exports = { createWindow, plain, summarize };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, plain } = require('./helpers');
+
+const { Multilingual } = createWindow();
+
+/**
+ * Segments as [text, lang] pairs, with language identification on
+ */
+function identify(text, config = {}, context) {
+    const multilingual = new Multilingual({ languageIdentification: { enabled: true, ...config } });
+    return plain(multilingual.segmentText(text, context)).map(segment => [segment.text, segment.lang]);
+}
+
+test('identifies German, French and Vietnamese in Latin text', () => {
+    const german = 'Die Kinder spielen heute im Garten und wir sind glücklich.';
+    const french = 'Nous avons travaillé ensemble pendant des années sur les projets.';
+    const vietnamese = 'Chúng tôi đang nghiên cứu về ngôn ngữ và văn hóa của những người Việt.';
+
+    assert.deepEqual(identify(german), [[german, 'de']]);
+    assert.deepEqual(identify(french), [[french, 'fr']]);
+    assert.deepEqual(identify(vietnamese), [[vietnamese, 'vi']]);
+});
+
+test('keeps the declared language tag when the language matches it', () => {
+    assert.deepEqual(identify('Sie sagte, dass wir morgen kommen', {}, { lang: 'de-CH' }), [
+        ['Sie sagte, dass wir morgen kommen', 'de-CH']
+    ]);
+});
+
+test('splits a segment where the language changes', () => {
+    assert.deepEqual(
+        identify('She told me that the garden was beautiful: die Kinder spielen heute im Garten und wir sind glücklich.'),
+        [
+            ['She told me that the garden was beautiful: ', 'en'],
+            ['die Kinder spielen heute im Garten und wir sind glücklich.', 'de']
+        ]
+    );
+});
+
+test('falls back to the expected language when a switch is not confident enough', () => {
+    const text = 'The sign said bitte nicht stören on the door.';
+    assert.ok(identify(text).some(([part, lang]) => part === 'bitte nicht stören ' && lang === 'de'));
+
+    // No run can reach a confidence above 1
+    assert.deepEqual(identify(text, { minConfidence: 1.01 }), [[text, 'en']]);
+});
+
+test('gives short segments the expected language without identifying them', () => {
+    const multilingual = new Multilingual({ languageIdentification: { enabled: true } });
+    const [segment] = plain(multilingual.segmentText('die Kinder', { lang: 'fr' }));
+    assert.equal(segment.lang, 'fr');
+    assert.equal(segment.confidence, undefined);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+const { Multilingual } = createWindow();
+
+/**
+ * Text kept on one line when text is wrapped with line breaking on
+ */
+function noBreaks(text, config = {}) {
+    const multilingual = new Multilingual({ lineBreaking: { enabled: true, ...config } });
+    const html = multilingual.wrapSegmentsHTML(multilingual.segmentText(text));
+    return Array.from(html.matchAll(/<span data-ml-nobreak[^>]*>([^<]*)<\/span>/g), match => match[1]);
+}
+
+test('keeps numbers with their units', () => {
+    assert.deepEqual(noBreaks('약 3 시간 걸립니다'), ['3 시간']);
+    assert.deepEqual(noBreaks('10–20 km away'), ['10–20 km']);
+    assert.deepEqual(noBreaks('1,200 kg of steel'), ['1,200 kg']);
+});
+
+test('does not treat short words after numbers as units', () => {
+    assert.deepEqual(noBreaks('Room 2 is open'), []);
+    assert.deepEqual(noBreaks('3 of 10 to go'), []);
+});
+
+test('keeps a number with a unit in the next segment', () => {
+    const multilingual = new Multilingual({ lineBreaking: { enabled: true } });
+    const segments = multilingual.segmentText('거리 10 km');
+    assert.deepEqual(Array.from(segments, segment => segment.text), ['거리 10 ', 'km']);
+
+    assert.deepEqual(noBreaks('거리 10 km'), ['10 km']);
+    assert.deepEqual(noBreaks('It takes 3 시간 now'), ['3 시간']);
+});
+
+test('keeps a number that ends the text with the word before it', () => {
+    assert.deepEqual(noBreaks('대전시 유성구 대학로 291'), ['대학로 291']);
+});
+
+test('takes units from the configuration', () => {
+    assert.deepEqual(noBreaks('Room 2 is open', { units: ['is'] }), ['2 is']);
+    assert.deepEqual(noBreaks('거리 10 km', { units: [] }), []);
+    assert.deepEqual(noBreaks('거리 10 km', { numeralUnits: false }), []);
+});
+
+test('moving numbers between segments keeps the text and round-trips through unwrap', () => {
+    const markup = '<p>거리 10 km, 약 3 시간</p>';
+    const window = createWindow(markup);
+    window.Multilingual.wrap('p', { lineBreaking: { enabled: true } });
+
+    const paragraph = window.document.querySelector('p');
+    assert.equal(paragraph.textContent, '거리 10 km, 약 3 시간');
+    assert.equal(paragraph.querySelectorAll('[data-ml-nobreak]').length, 2);
+
+    window.Multilingual.unwrap('p');
+    assert.equal(window.document.body.innerHTML, markup);
+});
+
+test('multilingual:wrapped reports the segments as moved into the spans', () => {
+    const window = createWindow('<p>거리 10 km</p>');
+    let segments = null;
+    window.document.body.addEventListener('multilingual:wrapped', event => {
+        segments = Array.from(event.detail.segments, segment => segment.text);
+    });
+
+    window.Multilingual.wrap('p', { lineBreaking: { enabled: true } });
+    const spans = Array.from(window.document.querySelectorAll('p > [data-script]'), span => span.textContent);
+    assert.deepEqual(spans, ['거리 ', '10 km']);
+    assert.deepEqual(segments, spans);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, summarize } = require('./helpers');
+
+const window = createWindow(
+    '<p id="nested">「a『b』c」 "a \'b\' c" don\'t ‘it’s’</p>' +
+    '<p id="unclosed">(열린 괄호 and text</p>' +
+    '<p id="stray">stray) 닫는 괄호</p>'
+);
+const multilingual = new window.Multilingual();
+
+/**
+ * Role of the character at index, with the given pairs still open
+ */
+function role(text, index, open = []) {
+    return multilingual.getPairRole(multilingual.splitCharacters(text), index, open);
+}
+
+test('nested asymmetric pairs open and close by character', () => {
+    const text = '「a『b』c」';
+    assert.equal(role(text, 0), 'open');
+    assert.equal(role(text, 2, ['「']), 'open');
+    assert.equal(role(text, 4, ['「', '『']), 'close');
+    assert.equal(role(text, 6, ['「']), 'close');
+});
+
+test('symmetric quotes open before a word and close after one', () => {
+    const text = '"a \'b\' c"';
+    assert.equal(role(text, 0), 'open');
+    assert.equal(role(text, 3, ['"']), 'open');
+    assert.equal(role(text, 5, ['"', "'"]), 'close');
+    assert.equal(role(text, 8, ['"']), 'close');
+});
+
+test('quotes between letters are apostrophes', () => {
+    assert.equal(role("don't", 3), null);
+    assert.equal(role('‘it’s’', 3, ['‘']), null);
+    assert.equal(role('‘it’s’', 5, ['‘']), 'close');
+});
+
+test('ambiguous symmetric quotes close the innermost open quote of the same kind', () => {
+    assert.equal(role('a"b', 1), 'open');
+    assert.equal(role('a"b', 1, ['"']), 'close');
+});
+
+test('characters that are not paired punctuation have no role', () => {
+    assert.equal(role('a-b', 1), null);
+    assert.equal(role('a.b', 1), null);
+});
+
+test('pairs take the script of the text around them', () => {
+    assert.deepEqual(summarize(multilingual.segmentText('English (한국어) text')), [
+        ['English (', 'latin'],
+        ['한국어', 'korean'],
+        [') text', 'latin']
+    ]);
+    assert.deepEqual(summarize(multilingual.segmentText('한국어 「English」 한국어')), [
+        ['한국어 「', 'korean'],
+        ['English', 'latin'],
+        ['」 한국어', 'korean']
+    ]);
+});
+
+test('analyze() lists unclosed and stray punctuation only', () => {
+    const report = multilingual.analyze('body');
+    assert.deepEqual(
+        Array.from(report.unmatchedPunctuation, ({ char, element }) => [char, element.id]),
+        [['(', 'unclosed'], [')', 'stray']]
+    );
+    assert.equal(report.unmatchedPunctuation[1].context, 'stray) 닫는 괄호');
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prerender } = require('../scripts/prerender.js');
+
+test('wraps text with character references decoded', () => {
+    const html = prerender('<body><p>Hello&nbsp;&#xC548;&#45397;</p></body>', {});
+    assert.match(html, /<span[^>]*data-script="korean"[^>]*>안녕<\/span>/);
+});
+
+test('leaves text with invalid numeric references as it is', () => {
+    ['&#x110000;', '&#99999999;', '&#xD800;'].forEach(reference => {
+        const html = `<body><p>Hello ${reference} 안녕</p></body>`;
+        assert.equal(prerender(html, {}), html);
+    });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, plain, summarize } = require('./helpers');
+
+const { Multilingual } = createWindow();
+
+/**
+ * Segments as [text, dir] pairs
+ */
+function directions(segments) {
+    return plain(segments).map(segment => [segment.text, segment.dir]);
+}
+
+test('splits text by script, keeping spaces with the preceding segment', () => {
+    const segments = new Multilingual().segmentText('Hello 안녕하세요 world');
+    assert.deepEqual(plain(segments), [
+        { text: 'Hello ', script: 'latin', lang: 'en' },
+        { text: '안녕하세요 ', script: 'korean', lang: 'ko' },
+        { text: 'world', script: 'latin', lang: 'en' }
+    ]);
+});
+
+test('segments join back into the original text', () => {
+    const multilingual = new Multilingual();
+    const texts = ['Hello 안녕하세요 world', '(참고: “KAIST” 2026)', 'שלום world', '日本語のテキストと English'];
+    texts.forEach(text => {
+        assert.equal(multilingual.segmentText(text).map(segment => segment.text).join(''), text);
+    });
+});
+
+test('places digits according to neutralPolicy', () => {
+    assert.deepEqual(summarize(new Multilingual().segmentText('대학로 291')), [['대학로 291', 'korean']]);
+    assert.deepEqual(summarize(new Multilingual({ neutralPolicy: 'own' }).segmentText('서울 2026 Seoul')), [
+        ['서울 ', 'korean'],
+        ['2026 ', 'numeric'],
+        ['Seoul', 'latin']
+    ]);
+});
+
+test('gives text without a script the declared script', () => {
+    const segments = new Multilingual().segmentText('291', { lang: 'ko', script: 'korean' });
+    assert.deepEqual(summarize(segments), [['291', 'korean']]);
+});
+
+test('assigns Han next to Hangul to Korean and next to kana to Japanese', () => {
+    const multilingual = new Multilingual();
+    assert.deepEqual(summarize(multilingual.segmentText('漢字와 한글')), [['漢字와 한글', 'korean']]);
+    assert.deepEqual(summarize(multilingual.segmentText('日本語のテキスト')), [['日本語のテキスト', 'japanese']]);
+    assert.deepEqual(summarize(new Multilingual({ hanPolicy: 'chinese' }).segmentText('漢字')), [['漢字', 'chinese']]);
+});
+
+test('marks right-to-left segments', () => {
+    const segments = new Multilingual().segmentText('שלום world');
+    assert.equal(segments[0].script, 'hebrew');
+    assert.equal(segments[0].dir, 'rtl');
+    assert.equal(segments[1].dir, undefined);
+});
+
+test('gives neutrals between right-to-left runs to the right-to-left segment', () => {
+    const segments = new Multilingual().segmentText('He said שלום, עולם! and left');
+    assert.deepEqual(directions(segments), [
+        ['He said ', undefined],
+        ['שלום, עולם', 'rtl'],
+        ['! and left', undefined]
+    ]);
+});
+
+test('gives neutrals between runs of both directions to the paragraph direction', () => {
+    const multilingual = new Multilingual();
+    assert.deepEqual(directions(multilingual.segmentText('Hello, שלום', { dir: 'rtl' })), [
+        ['Hello', 'ltr'],
+        [', שלום', 'rtl']
+    ]);
+    assert.deepEqual(directions(multilingual.segmentText('שלום, world', { dir: 'auto' })), [
+        ['שלום, ', 'rtl'],
+        ['world', 'ltr']
+    ]);
+});
+
+test('keeps a closing bracket with its opening bracket across directions', () => {
+    assert.deepEqual(summarize(new Multilingual().segmentText('שלום (עולם) world')), [
+        ['שלום (עולם)', 'hebrew'],
+        [' world', 'latin']
+    ]);
+});
+
+test('applies language overrides', () => {
+    const segments = new Multilingual({ languageOverrides: { chinese: 'zh-Hant' } }).segmentText('漢字');
+    assert.equal(segments[0].lang, 'zh-Hant');
+});
+
+test('returns copies of cached segments', () => {
+    const multilingual = new Multilingual();
+    multilingual.segmentText('Hello 안녕')[0].text = 'changed';
+    assert.equal(multilingual.segmentText('Hello 안녕')[0].text, 'Hello ');
+});
+
+test('returns no segments when a beforeSegment hook skips the text', () => {
+    const multilingual = new Multilingual({ plugins: [{ beforeSegment: () => false }] });
+    assert.equal(multilingual.segmentText('Hello 안녕').length, 0);
+});
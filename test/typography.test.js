@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+/**
+ * [text, style] for each span when text is wrapped with typography settings
+ */
+function styles(window, text, typography) {
+    const multilingual = new window.Multilingual({ typography });
+    const html = multilingual.wrapSegmentsHTML(multilingual.segmentText(text));
+    return Array.from(html.matchAll(/<span[^>]*?(?: style="([^"]*)")?>([^<]*)<\/span>/g), match => [match[2], match[1] || '']);
+}
+
+// No CSS.supports, as in Node: support for text-autospace is unknown
+const window = createWindow();
+
+test('marks script transitions with data-ml-boundary', () => {
+    const multilingual = new window.Multilingual({ typography: { boundaries: true } });
+    const html = multilingual.wrapSegmentsHTML(multilingual.segmentText('Hello 안녕'));
+    assert.match(html, /data-ml-boundary="en-ko"[^>]*>안녕/);
+    assert.doesNotMatch(html, /data-ml-boundary[^>]*>Hello/);
+});
+
+test('autospace adds space only where scripts meet without whitespace', () => {
+    assert.deepEqual(styles(window, 'Hello안녕', { autospace: '0.125em' }), [
+        ['Hello', ''],
+        ['안녕', 'margin-inline-start: 0.125em']
+    ]);
+    assert.deepEqual(styles(window, 'Hello 안녕', { autospace: '0.125em' }), [
+        ['Hello ', ''],
+        ['안녕', '']
+    ]);
+});
+
+test('adds boundary spacing to autospace', () => {
+    assert.deepEqual(styles(window, 'Hello안녕', { autospace: '0.125em', spacing: { 'en-ko': '0.05em' } })[1], [
+        '안녕', 'margin-inline-start: calc(0.125em + 0.05em)'
+    ]);
+});
+
+test('shifts the baseline and sets the size of a script', () => {
+    assert.deepEqual(styles(window, 'Hello 안녕', {
+        baselineShift: { korean: '-0.03em' },
+        sizeAdjust: { korean: '92%' }
+    })[1], ['안녕', 'position: relative; top: calc(-1 * -0.03em); font-size: 92%']);
+});
+
+test('leaves kana next to Latin to CSS text-autospace where it is supported', () => {
+    const supported = createWindow('', 'en', window => {
+        window.CSS = { supports: () => true };
+    });
+    const unsupported = createWindow('', 'en', window => {
+        window.CSS = { supports: () => false };
+    });
+
+    assert.equal(styles(supported, 'テストABC', { autospace: '0.125em' })[1][1], '');
+    assert.equal(styles(unsupported, 'テストABC', { autospace: '0.125em' })[1][1], 'margin-inline-start: 0.125em');
+
+    // Hangul is not spaced by text-autospace
+    assert.equal(styles(supported, 'Hello안녕', { autospace: '0.125em' })[1][1], 'margin-inline-start: 0.125em');
+});
+
+test('does not add space for kana next to Latin where support is unknown, as when prerendering', () => {
+    assert.equal(styles(window, 'テストABC', { autospace: '0.125em' })[1][1], '');
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, plain } = require('./helpers');
+
+test('wraps each script in a span with lang, data-script and class', () => {
+    const window = createWindow('<p id="text">Hello 안녕하세요 world</p>');
+    assert.equal(window.Multilingual.wrap('#text'), 1);
+
+    const spans = Array.from(window.document.querySelectorAll('#text span'));
+    assert.deepEqual(spans.map(span => [span.textContent, span.lang, span.dataset.script, span.className]), [
+        ['Hello ', 'en', 'latin', 'ml-en'],
+        ['안녕하세요 ', 'ko', 'korean', 'ml-ko'],
+        ['world', 'en', 'latin', 'ml-en']
+    ]);
+});
+
+test('unwrap restores the original markup', () => {
+    const markup = '<h1>Visual <em>Instruments</em> 연구실</h1><p>대전시 유성구 대학로 291<br>Daejeon, South Korea</p>';
+    const window = createWindow(markup);
+
+    window.Multilingual.wrap('body');
+    assert.notEqual(window.document.body.innerHTML, markup);
+
+    window.Multilingual.unwrap('body');
+    assert.equal(window.document.body.innerHTML, markup);
+});
+
+test('wrapping twice does not nest spans', () => {
+    const window = createWindow('<p>Hello 안녕</p>');
+    window.Multilingual.wrap('p');
+    const once = window.document.body.innerHTML;
+    window.Multilingual.wrap('p');
+    assert.equal(window.document.body.innerHTML, once);
+});
+
+test('rewrap applies a new configuration', () => {
+    const window = createWindow('<p>Hello 안녕</p>');
+    window.Multilingual.wrap('p');
+    window.Multilingual.rewrap('p', { cssClasses: { useShortNames: false, scriptSpecific: { korean: 'hangul' } } });
+    assert.deepEqual(
+        Array.from(window.document.querySelectorAll('p span'), span => span.className),
+        ['', 'hangul']
+    );
+});
+
+test('leaves skipped elements and data-ml="skip" alone', () => {
+    const window = createWindow(
+        '<p>안녕 <code data-ml="skip">Hello 안녕</code> <span data-ml="skip">KAIST <b data-ml="wrap">한국</b></span></p>' +
+        '<script>var 안녕 = 1;</script>'
+    );
+    window.Multilingual.wrap('body');
+
+    assert.equal(window.document.querySelector('code').innerHTML, 'Hello 안녕');
+    assert.equal(window.document.querySelector('script').innerHTML, 'var 안녕 = 1;');
+    assert.equal(window.document.querySelector('b').firstChild.dataset.script, 'korean');
+});
+
+test('uses the nearest lang attribute for text without a script', () => {
+    const window = createWindow('<p lang="ko">291</p>');
+    window.Multilingual.wrap('p');
+    assert.equal(window.document.querySelector('p span').dataset.script, 'korean');
+});
+
+test('accepts elements, node lists and bare ids or class names', () => {
+    const window = createWindow('<p id="one">Hello 안녕</p><p class="two">Hello 안녕</p><p>Hello 안녕</p>');
+    const Multilingual = window.Multilingual;
+
+    assert.equal(Multilingual.wrap('one'), 1);
+    assert.equal(Multilingual.wrap('two'), 1);
+    assert.equal(Multilingual.wrap(window.document.querySelectorAll('p')), 3);
+    assert.equal(Multilingual.wrap(window.document.body.lastElementChild), 1);
+    assert.equal(window.document.querySelectorAll('[data-script]').length, 6);
+});
+
+test('throws on an invalid selector', () => {
+    const window = createWindow();
+    assert.throws(() => window.Multilingual.wrap('p[='), /invalid selector/);
+});
+
+test('fires multilingual:wrapped with the segments', () => {
+    const window = createWindow('<p>Hello 안녕</p>');
+    let detail = null;
+    window.document.body.addEventListener('multilingual:wrapped', event => {
+        detail = event.detail;
+    });
+
+    window.Multilingual.wrap('p');
+    assert.ok(detail);
+    assert.deepEqual(plain(detail.segments).map(segment => segment.script), ['latin', 'korean']);
+});
+
+test('observe mode wraps text added later', async () => {
+    const window = createWindow('<div id="feed"></div>');
+    window.Multilingual.observe('#feed');
+
+    window.document.getElementById('feed').insertAdjacentHTML('beforeend', '<p>Hello 안녕</p>');
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+
+    assert.equal(window.document.querySelectorAll('#feed [data-script]').length, 2);
+    window.Multilingual.disconnect();
+});
+
+test('observe mode segments edited wrapped text again', async () => {
+    const window = createWindow('<p id="note">Hello 안녕</p>');
+    const note = window.document.getElementById('note');
+    window.Multilingual.observe('#note');
+    window.Multilingual.wrap('#note');
+
+    // The Latin span now holds Korean text, next to the Korean span
+    note.querySelector('[data-script="latin"]').firstChild.data = '반가워 ';
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+
+    const spans = Array.from(note.querySelectorAll('[data-script]'), span => [span.textContent, span.dataset.script]);
+    assert.deepEqual(spans, [['반가워 안녕', 'korean']]);
+    assert.equal(note.textContent, '반가워 안녕');
+    window.Multilingual.disconnect();
+});
+
+test('wraps text in open shadow roots, given the root or (with shadowDOM) its host', () => {
+    const window = createWindow('<div id="host"></div>');
+    const shadowRoot = window.document.getElementById('host').attachShadow({ mode: 'open' });
+    shadowRoot.innerHTML = '<p>Hello 안녕</p>';
+
+    window.Multilingual.wrap('#host');
+    assert.equal(shadowRoot.querySelectorAll('[data-script]').length, 0);
+
+    window.Multilingual.wrap('#host', { shadowDOM: true });
+    assert.equal(shadowRoot.querySelectorAll('[data-script]').length, 2);
+
+    window.Multilingual.unwrap(shadowRoot);
+    assert.equal(shadowRoot.innerHTML, '<p>Hello 안녕</p>');
+
+    window.Multilingual.wrap(shadowRoot);
+    assert.equal(shadowRoot.querySelectorAll('[data-script]').length, 2);
+});
+
+test('observe mode wraps text added inside shadow roots', async () => {
+    const window = createWindow('<div id="feed"></div>');
+    const multilingual = new window.Multilingual({ shadowDOM: true });
+    multilingual.observe('#feed');
+
+    // A component added later, whose shadow root then changes
+    const component = window.document.createElement('div');
+    const shadowRoot = component.attachShadow({ mode: 'open' });
+    shadowRoot.innerHTML = '<p>Hello 안녕</p>';
+    window.document.getElementById('feed').appendChild(component);
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+    assert.equal(shadowRoot.querySelectorAll('[data-script]').length, 2);
+
+    shadowRoot.querySelector('p').insertAdjacentHTML('afterend', '<p>World 세계</p>');
+    await new Promise(resolve => window.setTimeout(resolve, 0));
+    assert.deepEqual(Array.from(shadowRoot.querySelectorAll('[data-script]'), span => span.textContent), [
+        'Hello ', '안녕', 'World ', '세계'
+    ]);
+    multilingual.disconnect();
+});